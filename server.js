@@ -7,6 +7,13 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { networkInterfaces } from 'os';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { ServerEventBus } from './server/server-event-bus.js';
+import { HeadlessHub } from './server/hub.js';
+import { HAServiceProxy } from './server/ha-service-proxy.js';
+import { loadLightMapping } from './server/lights/light-output.js';
+import { loadSceneRules } from './server/scene-rules.js';
+import { loadAlerts } from './server/alerts.js';
+import { loadHaSensors, getSensorEntities } from './server/ha-sensors.js';
 
 dotenv.config();
 
@@ -128,6 +135,7 @@ app.get('/auth/spotify/callback', async (req, res) => {
       saveTokens(spotifyTokens);
 
       console.log('[Spotify] Authentication successful');
+      hub.startSpotify();
       res.redirect('/?spotify_auth=success');
     } else {
       console.error('[Spotify] Auth error:', data);
@@ -272,6 +280,29 @@ app.get('/api/spotify/audio-features/:trackId', async (req, res) => {
   }
 });
 
+app.get('/api/spotify/audio-analysis/:trackId', async (req, res) => {
+  try {
+    const token = await ensureValidToken();
+    const { trackId } = req.params;
+
+    const response = await fetch(`https://api.spotify.com/v1/audio-analysis/${trackId}`, {
+      headers: {
+        'Authorization': 'Bearer ' + token,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Spotify API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    res.json(data);
+  } catch (error) {
+    console.error('[Spotify API] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/spotify/artist/:artistId', async (req, res) => {
   try {
     const token = await ensureValidToken();
@@ -319,16 +350,30 @@ app.get('/api/ha/states/:entityId', async (req, res) => {
   }
 });
 
-app.post('/api/ha/services/:domain/:service', async (req, res) => {
+// Entities LAN clients may read: the sensor widget's and HA_ENTITIES
+const haSensorsPath = process.env.HA_SENSORS_CONFIG || join(__dirname, 'config', 'ha-sensors.json');
+const haEntities = process.env.HA_ENTITIES?.split(',') || [];
+
+// Entity history (sparklines in the ha-sensors widget)
+app.get('/api/ha/history/:entityId', async (req, res) => {
+  const { entityId } = req.params;
+
+  // Only the sensor widget's entities (see ha-sensors.js)
+  if (!getSensorEntities(haSensorsPath, haEntities).has(entityId)) {
+    console.warn(`[HA API] Blocked history request from ${req.ip}: ${entityId}`);
+    return res.status(403).json({ error: `${entityId} is not a configured sensor` });
+  }
+
   try {
-    const { domain, service } = req.params;
-    const response = await fetch(`${process.env.HA_URL}/api/services/${domain}/${service}`, {
-      method: 'POST',
+    const hours = Math.min(parseFloat(req.query.hours) || 1, 24);
+    const start = new Date(Date.now() - hours * 3600 * 1000).toISOString();
+    const query = `filter_entity_id=${encodeURIComponent(entityId)}&minimal_response&no_attributes`;
+
+    const response = await fetch(`${process.env.HA_URL}/api/history/period/${start}?${query}`, {
       headers: {
         'Authorization': 'Bearer ' + process.env.HA_TOKEN,
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify(req.body),
     });
 
     if (!response.ok) {
@@ -336,6 +381,56 @@ app.post('/api/ha/services/:domain/:service', async (req, res) => {
     }
 
     const data = await response.json();
+    res.json(data[0] || []);
+  } catch (error) {
+    console.error('[HA API] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sensors shown by the ha-sensors widget (see config/ha-sensors.example.json)
+app.get('/api/ha/sensors', (req, res) => {
+  res.json(loadHaSensors(haSensorsPath) || { sensors: [] });
+});
+
+// Fixture mapping for the light output (see config/lights.example.json)
+const lightMapping = loadLightMapping(process.env.LIGHTS_CONFIG || join(__dirname, 'config', 'lights.json'));
+const mappedEntities = (lightMapping?.fixtures || [])
+  .filter(fixture => fixture.backend === 'ha')
+  .map(fixture => fixture.entity);
+
+// Scene rules: scenes/scripts activated by genre, energy and playback (see config/scene-rules.example.json)
+const sceneRules = loadSceneRules(process.env.SCENE_RULES_CONFIG || join(__dirname, 'config', 'scene-rules.json'));
+const ruleEntities = (sceneRules?.rules || []).map(rule => rule.scene || rule.script);
+
+// Alerts: HA events shown on the overlay with light flashes (see config/alerts.example.json)
+const alerts = loadAlerts(process.env.ALERTS_CONFIG || join(__dirname, 'config', 'alerts.json'));
+const alertLights = (alerts?.alerts || []).flatMap(alert => Array.isArray(alert.flash) ? alert.flash : []);
+
+// Service calls: allow-listed (Yeelight, mapped and alert light on/off, rule scenes by default), rate limited per entity
+const haServiceProxy = new HAServiceProxy({
+  haUrl: process.env.HA_URL,
+  token: process.env.HA_TOKEN,
+  allowed: [
+    ...[...new Set([...getConfig().yeelightEntities, ...mappedEntities, ...alertLights])]
+      .flatMap(entityId => [`light.turn_on:${entityId}`, `light.turn_off:${entityId}`]),
+    ...ruleEntities.map(entityId => `${entityId.split('.')[0]}.turn_on:${entityId}`),
+    ...(process.env.HA_ALLOWED_SERVICES?.split(',') || []),
+  ],
+  minInterval: parseInt(process.env.HA_MIN_CALL_INTERVAL, 10) || 1000,
+});
+
+app.post('/api/ha/services/:domain/:service', async (req, res) => {
+  const { domain, service } = req.params;
+
+  const blocked = haServiceProxy.check(domain, service, req.body);
+  if (blocked) {
+    console.warn(`[HA API] Blocked service call from ${req.ip}: ${blocked}`);
+    return res.status(403).json({ error: blocked });
+  }
+
+  try {
+    const data = await haServiceProxy.call(domain, service, req.body);
     res.json(data);
   } catch (error) {
     console.error('[HA API] Error:', error.message);
@@ -343,10 +438,15 @@ app.post('/api/ha/services/:domain/:service', async (req, res) => {
   }
 });
 
+// Allowed services and call counters (sent / coalesced / blocked)
+app.get('/api/ha/allowed', (req, res) => {
+  res.json(haServiceProxy.getStatus());
+});
+
 // ==================== CONFIGURATION ====================
 
-app.get('/api/config', (req, res) => {
-  res.json({
+function getConfig() {
+  return {
     spotify: {
       authenticated: !!spotifyTokens.access_token,
       tokenExpiry: spotifyTokens.expires_at,
@@ -360,10 +460,58 @@ app.get('/api/config', (req, res) => {
       enableAudioVisualizer: process.env.ENABLE_AUDIO_VISUALIZER === 'true',
       syncThemeWithHALights: process.env.SYNC_THEME_WITH_HA_LIGHTS === 'true',
     },
+    // Live tempo from the audio input; follows the visualizer unless set
+    tempoDetection: process.env.ENABLE_TEMPO_DETECTION
+      ? process.env.ENABLE_TEMPO_DETECTION === 'true'
+      : process.env.ENABLE_AUDIO_VISUALIZER === 'true',
     yeelightEntities: process.env.YEELIGHT_ENTITIES?.split(',') || [],
+    haEntities,
+  };
+}
+
+app.get('/api/config', (req, res) => {
+  res.json(getConfig());
+});
+
+app.get('/api/hub/status', (req, res) => {
+  res.json(hub.getStatus());
+});
+
+// Widget registry (presence from heartbeats, stale widgets flagged)
+app.get('/api/widgets', (req, res) => {
+  res.json({
+    widgets: hub.widgetRegistry.list(),
+    staleAfter: hub.widgetRegistry.staleAfter,
   });
 });
 
+// Genre themes loaded from themes/*.json (and files that failed validation)
+app.get('/api/themes', (req, res) => {
+  res.json(hub.getThemes());
+});
+
+// Manual lock: { genre, bpm, colors }, null fields back to auto
+app.get('/api/themes/lock', (req, res) => {
+  res.json(hub.themeEngine.getLock());
+});
+
+app.post('/api/themes/lock', (req, res) => {
+  try {
+    res.json(hub.setThemeLock(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/themes/lock', (req, res) => {
+  res.json(hub.setThemeLock({ genre: null, bpm: null, colors: null }));
+});
+
+// Latest retained state (track, playback, theme, lights)
+app.get('/api/state', (req, res) => {
+  res.json(eventBus.getSnapshot());
+});
+
 // ==================== START SERVER ====================
 
 // Get local network IP address
@@ -381,6 +529,12 @@ function getLocalIP() {
   return 'localhost';
 }
 
+// Optional numeric env var; unset or not a number gives undefined (so 0 stays 0)
+function getEnvNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
 const server = app.listen(PORT, '0.0.0.0', async () => {
   const localIP = getLocalIP();
 
@@ -403,25 +557,69 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
   `);
 });
 
-// ==================== WEBSOCKET SERVER (for HA real-time) ====================
+// ==================== WEBSOCKET SERVER (EventBus relay) ====================
 
 const wss = new WebSocketServer({ server });
+const eventBus = new ServerEventBus(wss);
 
-wss.on('connection', (ws) => {
-  console.log('[WebSocket] Client connected');
+// ==================== HEADLESS HUB ====================
 
-  ws.on('message', (message) => {
-    console.log('[WebSocket] Received:', message.toString());
-  });
+const hub = new HeadlessHub(eventBus, {
+  serverUrl: `http://localhost:${PORT}`,
+  getConfig,
+  homeAssistant: {
+    url: process.env.HA_URL,
+    token: process.env.HA_TOKEN,
+  },
+  lightCommandsPerMinute: parseInt(process.env.LIGHT_COMMANDS_PER_MINUTE, 10) || 60,
+  yeelight: {
+    // entity_id=host[:port] or entity_id=0x<bulb id> (found by discovery)
+    devices: Object.fromEntries(
+      (process.env.YEELIGHT_LAN || '')
+        .split(',')
+        .filter(entry => entry.includes('='))
+        .map(entry => entry.split('=').map(part => part.trim()))
+    ),
+    musicMode: process.env.YEELIGHT_MUSIC_MODE === 'true',
+    musicHost: process.env.YEELIGHT_MUSIC_HOST || getLocalIP(),
+  },
+  lightMapping,
+  lightColors: {
+    enabled: process.env.LIGHTS_THEME_COLORS === 'true',
+    minSaturation: getEnvNumber('LIGHTS_MIN_SATURATION'),
+    minBrightness: getEnvNumber('LIGHTS_MIN_BRIGHTNESS'),
+  },
+  themesDir: join(__dirname, 'themes'),
+  getSensorEntities: () => getSensorEntities(haSensorsPath, haEntities),
+  sceneRules,
+  alerts,
+  mqtt: {
+    url: process.env.MQTT_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || undefined,
+    baseTopic: process.env.MQTT_BASE_TOPIC || undefined,
+  },
+  audio: {
+    source: process.env.AUDIO_SOURCE || 'pulse',
+    device: process.env.AUDIO_DEVICE || '',
+    file: process.env.AUDIO_FILE || '',
+    sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE, 10) || 44100,
+    fps: parseInt(process.env.AUDIO_FPS, 10) || 30,
+    bands: parseInt(process.env.AUDIO_BANDS, 10) || 32,
+  },
+});
 
-  ws.on('close', () => {
-    console.log('[WebSocket] Client disconnected');
-  });
+server.on('listening', () => {
+  hub.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('[Server] SIGTERM received, shutting down gracefully...');
+  hub.stop();
+  haServiceProxy.stop();
+  eventBus.disconnect();
   server.close(() => {
     console.log('[Server] Server closed');
     process.exit(0);
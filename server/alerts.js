@@ -0,0 +1,203 @@
+/**
+ * Alerts - Home Assistant events as overlay banners with light cues
+ * Alert definitions (config/alerts.json) trigger on an HA event type
+ * (`event`, optionally matching its data) or on an entity changing to a
+ * state (`entity` + `to`, e.g. a doorbell binary_sensor). Each trigger emits
+ * ALERT for the alert widget and flashes the lights.
+ *
+ * `title`, `message` and `icon` are templates: {{ data.location }},
+ * {{ state.attributes.friendly_name }}, {{ entity_id }}. The obs_overlay_alert
+ * event works without a definition, taking title, message, icon, priority,
+ * template, duration and flash from its data, so automations can send anything.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+export const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+export const TEMPLATES = ['banner', 'compact', 'urgent'];
+export const OVERLAY_EVENT = 'obs_overlay_alert';
+
+const DEFAULT_DURATION = 6000; // ms on screen
+const DEFAULT_COOLDOWN = 5000; // ms before the same alert can fire again (double rings)
+const OVERLAY_FIELDS = ['title', 'message', 'icon', 'priority', 'template', 'duration', 'flash'];
+
+const OVERLAY_ALERT = {
+  name: 'overlay',
+  event: OVERLAY_EVENT,
+  title: '{{ data.title }}',
+  message: '{{ data.message }}',
+  cooldown: 0,
+};
+
+/**
+ * Load and validate an alerts file
+ * @param {string} path - JSON file: { alerts: [{ name, event | entity, ... }] }
+ * @returns {object|null} { alerts } or null if the file doesn't exist
+ */
+export function loadAlerts(path) {
+  if (!existsSync(path)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`[Alerts] Cannot read ${path}:`, error.message);
+    return null;
+  }
+
+  const alerts = (config.alerts || [])
+    .map((alert, index) => ({ ...alert, name: alert.name || `alert ${index + 1}` }))
+    .filter(alert => {
+      const error = validateAlert(alert);
+      if (error) {
+        console.warn(`[Alerts] Skipping "${alert.name}" in ${path}: ${error}`);
+      }
+      return !error;
+    });
+
+  console.log(`[Alerts] Loaded ${alerts.length} alerts from ${path}`);
+
+  return { alerts };
+}
+
+/**
+ * @returns {string|null} What's wrong with an alert, or null if it's valid
+ */
+function validateAlert(alert) {
+  if (!!alert.event === !!alert.entity) return 'needs either event or entity';
+  if (alert.entity && alert.to === undefined) return 'entity alerts need a to state';
+  if (alert.match && typeof alert.match !== 'object') return 'match must be an object';
+  if (alert.priority && !PRIORITIES.includes(alert.priority)) return `priority must be one of ${PRIORITIES.join(', ')}`;
+  if (alert.template && !TEMPLATES.includes(alert.template)) return `template must be one of ${TEMPLATES.join(', ')}`;
+  if (alert.flash !== undefined && typeof alert.flash !== 'boolean' && !Array.isArray(alert.flash)) {
+    return 'flash must be true, false or a list of light entities';
+  }
+
+  return null;
+}
+
+export class AlertManager {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {HomeAssistantService} options.haService - HA events and entity states
+   * @param {object[]} options.alerts - Validated alerts (see loadAlerts)
+   * @param {function} options.flash - (entityIds, flashType) flashes lights; entityIds null = default lights
+   */
+  constructor(eventBus, { haService, alerts = [], flash }) {
+    this.eventBus = eventBus;
+    this.haService = haService;
+    this.flash = flash;
+
+    // Definitions for obs_overlay_alert come first, the generic one catches the rest
+    this.alerts = [...alerts, OVERLAY_ALERT];
+
+    this.lastFired = new Map(); // Alert name -> timestamp
+    this.nextId = 1;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    const eventTypes = [...new Set(this.alerts.filter(alert => alert.event).map(alert => alert.event))];
+    eventTypes.forEach(eventType => {
+      this.unsubscribers.push(this.haService.onEvent(eventType, (event) => this.handleEvent(event)));
+    });
+
+    // Entity alerts need the old state too, which only the raw state_changed event has
+    const entities = new Set(this.alerts.filter(alert => alert.entity).map(alert => alert.entity));
+    if (entities.size) {
+      this.unsubscribers.push(this.haService.onEvent('state_changed', (event) => {
+        if (entities.has(event.data?.entity_id)) this.handleStateChange(event.data);
+      }));
+    }
+
+    console.log(`[Alerts] Listening for ${eventTypes.join(', ')}${entities.size ? ` and ${entities.size} entities` : ''}`);
+  }
+
+  handleEvent(event) {
+    const alert = this.alerts.find(candidate =>
+      candidate.event === event.event_type && matches(candidate.match, event.data));
+    if (!alert) return;
+
+    const overrides = event.event_type === OVERLAY_EVENT ? pick(event.data || {}, OVERLAY_FIELDS) : {};
+    this.trigger({ ...alert, ...overrides }, { data: event.data || {}, event_type: event.event_type });
+  }
+
+  handleStateChange({ entity_id: entityId, old_state: oldState, new_state: newState }) {
+    const state = newState?.state;
+
+    // Attribute-only updates aren't a change
+    if (!state || state === oldState?.state) return;
+
+    const alert = this.alerts.find(candidate =>
+      candidate.entity === entityId && String(candidate.to) === state);
+    if (!alert) return;
+
+    this.trigger(alert, { state: newState, entity_id: entityId, data: newState.attributes || {} });
+  }
+
+  /**
+   * Show an alert and flash the lights
+   * @param {object} alert - Alert definition (with overrides)
+   * @param {object} context - Template values: { data, state, entity_id, event_type }
+   */
+  trigger(alert, context) {
+    const now = Date.now();
+    const cooldown = alert.cooldown ?? DEFAULT_COOLDOWN;
+    if (now - (this.lastFired.get(alert.name) || 0) < cooldown) return;
+    this.lastFired.set(alert.name, now);
+
+    const priority = PRIORITIES.includes(alert.priority) ? alert.priority : 'normal';
+    const payload = {
+      id: this.nextId++,
+      name: alert.name,
+      title: fillTemplate(alert.title ?? alert.name, context),
+      message: fillTemplate(alert.message ?? '', context),
+      icon: fillTemplate(alert.icon ?? '🔔', context),
+      priority,
+      template: TEMPLATES.includes(alert.template) ? alert.template : 'banner',
+      duration: Number(alert.duration) || DEFAULT_DURATION,
+      data: context.data,
+      timestamp: now,
+    };
+
+    console.log(`[Alerts] ${payload.name} (${priority}): ${payload.title}`);
+
+    this.eventBus.emit(EventTypes.ALERT, payload);
+
+    if (alert.flash !== false) {
+      const flashType = alert.flashType || (PRIORITIES.indexOf(priority) >= PRIORITIES.indexOf('high') ? 'long' : 'short');
+      this.flash(typeof alert.flash === 'string' || Array.isArray(alert.flash) ? [].concat(alert.flash) : null, flashType);
+    }
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
+
+/**
+ * Shallow match of event data ({ device_id: 'abc' }); no match object matches all
+ */
+function matches(match, data = {}) {
+  if (!match) return true;
+  return Object.entries(match).every(([key, value]) => data[key] === value);
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+/**
+ * Replace {{ path.to.value }} placeholders (missing values become empty)
+ */
+function fillTemplate(template, context) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = path.split('.').reduce((object, key) => object?.[key], context);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+export default AlertManager;
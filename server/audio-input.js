@@ -0,0 +1,343 @@
+/**
+ * Audio Input - Server-side audio capture for the visualizer events
+ * Reads mono 16-bit PCM from a PulseAudio monitor (parec), an ALSA device
+ * (arecord), stdin, or a WAV file (looped, for testing) and publishes levels
+ * and log-spaced FFT bands on the EventBus at a fixed frame rate
+ */
+
+import { spawn } from 'child_process';
+import { readFile } from 'fs/promises';
+import { EventTypes } from '../shared/lib/event-bus.js';
+import { computeLevels, computeMagnitudes, computeBands } from '../shared/lib/spectrum.js';
+
+const FFT_SIZE = 2048;
+const RESTART_DELAY = 5000; // Restart a capture process that exited after 5 seconds
+const WAVEFORM_POINTS = 128; // Downsampled waveform sent with each level update
+
+export class AudioInput {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {string} options.source - 'pulse' | 'alsa' | 'stdin' | 'file'
+   * @param {string} options.device - PulseAudio source / ALSA device (default device if empty)
+   * @param {string} options.file - WAV file path (source 'file')
+   * @param {number} options.sampleRate - Capture sample rate in Hz
+   * @param {number} options.fps - Events per second
+   * @param {number} options.bands - Number of spectrum bands
+   */
+  constructor(eventBus, {
+    source = 'pulse',
+    device = '',
+    file = '',
+    sampleRate = 44100,
+    fps = 30,
+    bands = 32,
+  } = {}) {
+    this.eventBus = eventBus;
+    this.source = source;
+    this.device = device;
+    this.file = file;
+    this.sampleRate = sampleRate;
+    this.fps = fps;
+    this.bandCount = bands;
+
+    // Latest FFT_SIZE samples
+    this.samples = new Float32Array(FFT_SIZE);
+    this.received = 0;
+    this.leftover = null; // Odd byte split across chunks
+
+    this.process = null;
+    this.fileSamples = null;
+    this.filePosition = 0;
+    this.frameTimerId = null;
+    this.restartTimerId = null;
+    this.isRunning = false;
+    this.status = 'stopped';
+  }
+
+  /**
+   * Start capturing and publishing frames
+   */
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      if (this.source === 'file') {
+        await this.loadFile();
+      } else if (this.source === 'stdin') {
+        this.readStream(process.stdin);
+      } else {
+        this.spawnCapture();
+      }
+    } catch (error) {
+      console.error('[AudioInput] Failed to start:', error.message);
+      this.status = 'error';
+      this.isRunning = false;
+      return;
+    }
+
+    this.frameTimerId = setInterval(() => this.publishFrame(), 1000 / this.fps);
+    this.status = 'running';
+
+    console.log(`[AudioInput] Capturing from ${this.source} at ${this.sampleRate} Hz, ${this.fps} fps, ${this.bandCount} bands`);
+  }
+
+  /**
+   * Run parec / arecord and read raw PCM from its stdout
+   */
+  spawnCapture() {
+    const [command, args] = this.getCaptureCommand();
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.process = child;
+
+    this.readStream(child.stdout);
+
+    child.stderr.on('data', (data) => {
+      console.warn(`[AudioInput] ${command}: ${data.toString().trim()}`);
+    });
+
+    child.on('error', (error) => {
+      console.error(`[AudioInput] Cannot run ${command}:`, error.message);
+      this.status = 'error';
+    });
+
+    child.on('exit', (code) => {
+      if (this.process !== child) return;
+      this.process = null;
+
+      if (!this.isRunning) return;
+
+      console.warn(`[AudioInput] ${command} exited (code ${code}), restarting in ${RESTART_DELAY / 1000}s`);
+      this.status = 'error';
+      this.restartTimerId = setTimeout(() => {
+        this.restartTimerId = null;
+        if (this.isRunning) {
+          this.spawnCapture();
+          this.status = 'running';
+        }
+      }, RESTART_DELAY);
+    });
+  }
+
+  getCaptureCommand() {
+    if (this.source === 'alsa') {
+      const args = ['-q', '-t', 'raw', '-f', 'S16_LE', '-c', '1', '-r', String(this.sampleRate)];
+      if (this.device) args.push('-D', this.device);
+      return ['arecord', args];
+    }
+
+    if (this.source !== 'pulse') {
+      console.warn(`[AudioInput] Unknown source "${this.source}", using pulse`);
+    }
+
+    const args = ['--format=s16le', '--channels=1', `--rate=${this.sampleRate}`, '--latency-msec=20'];
+    if (this.device) args.push(`--device=${this.device}`);
+    return ['parec', args];
+  }
+
+  /**
+   * Append mono s16le PCM chunks from a stream to the sample window
+   */
+  readStream(stream) {
+    stream.on('data', (chunk) => {
+      if (this.leftover) {
+        chunk = Buffer.concat([this.leftover, chunk]);
+        this.leftover = null;
+      }
+
+      const sampleCount = chunk.length >> 1;
+      if (chunk.length % 2) {
+        this.leftover = chunk.subarray(chunk.length - 1);
+      }
+
+      const samples = new Float32Array(sampleCount);
+      for (let i = 0; i < sampleCount; i++) {
+        samples[i] = chunk.readInt16LE(i * 2) / 32768;
+      }
+
+      this.pushSamples(samples);
+    });
+  }
+
+  pushSamples(samples) {
+    if (samples.length >= FFT_SIZE) {
+      this.samples.set(samples.subarray(samples.length - FFT_SIZE));
+    } else {
+      this.samples.copyWithin(0, samples.length);
+      this.samples.set(samples, FFT_SIZE - samples.length);
+    }
+    this.received += samples.length;
+  }
+
+  /**
+   * Load a WAV file (16-bit PCM or 32-bit float) and downmix it to mono
+   */
+  async loadFile() {
+    if (!this.file) {
+      throw new Error('AUDIO_FILE is not set');
+    }
+
+    const buffer = await readFile(this.file);
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error(`${this.file} is not a WAV file`);
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = {
+          audioFormat: buffer.readUInt16LE(body),
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14),
+        };
+      } else if (chunkId === 'data') {
+        if (!format) throw new Error('WAV data before fmt chunk');
+
+        const dataEnd = Math.min(buffer.length, body + chunkSize);
+        this.fileSamples = this.decodeWav(buffer.subarray(body, dataEnd), format);
+        this.sampleRate = format.sampleRate;
+        this.filePosition = 0;
+
+        console.log(`[AudioInput] Loaded ${this.file} (${(this.fileSamples.length / this.sampleRate).toFixed(1)}s)`);
+        return;
+      }
+
+      offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error(`${this.file} has no audio data`);
+  }
+
+  decodeWav(data, { audioFormat, channels, bitsPerSample }) {
+    const isFloat = audioFormat === 3 && bitsPerSample === 32;
+    const isPcm16 = audioFormat === 1 && bitsPerSample === 16;
+
+    if (!isFloat && !isPcm16) {
+      throw new Error(`Unsupported WAV format (format ${audioFormat}, ${bitsPerSample} bit)`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+    const samples = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const position = (frame * channels + channel) * bytesPerSample;
+        sum += isFloat ? data.readFloatLE(position) : data.readInt16LE(position) / 32768;
+      }
+      samples[frame] = sum / channels;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Feed the next frame's worth of file samples (real time, looped)
+   */
+  advanceFile() {
+    const count = Math.round(this.sampleRate / this.fps);
+    const samples = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      samples[i] = this.fileSamples[this.filePosition];
+      this.filePosition = (this.filePosition + 1) % this.fileSamples.length;
+    }
+
+    this.pushSamples(samples);
+  }
+
+  /**
+   * Analyze the latest window and emit level + spectrum events
+   */
+  publishFrame() {
+    if (this.fileSamples) {
+      this.advanceFile();
+    }
+
+    // Nothing captured yet
+    if (!this.received) return;
+
+    const timestamp = Date.now();
+    const { rms, peak } = computeLevels(this.samples);
+    const { bands, frequencies } = computeBands(computeMagnitudes(this.samples), this.sampleRate, {
+      bandCount: this.bandCount,
+    });
+
+    this.eventBus.emit(EventTypes.AUDIO_LEVEL_UPDATE, {
+      rms: round(rms),
+      peak: round(peak),
+      db: Math.round(20 * Math.log10(rms || 1e-9) * 10) / 10,
+      waveform: this.getWaveform(),
+      timestamp,
+    });
+
+    this.eventBus.emit(EventTypes.AUDIO_SPECTRUM_UPDATE, {
+      bands: bands.map(round),
+      frequencies,
+      sampleRate: this.sampleRate,
+      timestamp,
+    });
+  }
+
+  /**
+   * Latest samples downsampled to WAVEFORM_POINTS (peak of each slice, signed)
+   */
+  getWaveform() {
+    const sliceSize = FFT_SIZE / WAVEFORM_POINTS;
+    const waveform = [];
+
+    for (let point = 0; point < WAVEFORM_POINTS; point++) {
+      let value = 0;
+      for (let i = point * sliceSize; i < (point + 1) * sliceSize; i++) {
+        if (Math.abs(this.samples[i]) > Math.abs(value)) value = this.samples[i];
+      }
+      waveform.push(round(value));
+    }
+
+    return waveform;
+  }
+
+  /**
+   * Stop capturing
+   */
+  stop() {
+    this.isRunning = false;
+    this.status = 'stopped';
+
+    if (this.frameTimerId) {
+      clearInterval(this.frameTimerId);
+      this.frameTimerId = null;
+    }
+
+    if (this.restartTimerId) {
+      clearTimeout(this.restartTimerId);
+      this.restartTimerId = null;
+    }
+
+    if (this.process) {
+      const child = this.process;
+      this.process = null;
+      child.kill();
+    }
+
+    if (this.source === 'stdin') {
+      process.stdin.pause();
+    }
+  }
+}
+
+// Keep event payloads small
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default AudioInput;
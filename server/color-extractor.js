@@ -0,0 +1,60 @@
+/**
+ * Node Color Extractor - Album art color extraction without a canvas
+ * Decodes JPEG album art with jpeg-js and feeds the pixels to the shared
+ * k-means extractor
+ */
+
+import fetch from 'node-fetch';
+import jpeg from 'jpeg-js';
+import { extractColorsFromPixels, getDefaultColors } from '../shared/lib/color-extractor.js';
+
+/**
+ * Downsample RGBA pixels so the longest side is at most maxSize
+ */
+function downsample({ width, height, data }, maxSize = 150) {
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / maxSize));
+  if (step === 1) {
+    return data;
+  }
+
+  const pixels = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      pixels.push(data[i], data[i + 1], data[i + 2], data[i + 3]);
+    }
+  }
+
+  return Uint8Array.from(pixels);
+}
+
+/**
+ * Extract dominant colors from an image URL (Node)
+ * Same signature and result shape as the browser extractColors()
+ * @param {string} imageUrl - URL of the image to analyze
+ * @param {number} colorCount - Number of colors to extract (default: 5)
+ * @returns {Promise<Object>} Dominant color and palette
+ */
+export async function extractColors(imageUrl, colorCount = 5) {
+  try {
+    const response = await fetch(imageUrl);
+
+    if (!response.ok) {
+      throw new Error(`Image fetch error: ${response.status}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const image = jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: 20,
+    });
+
+    return extractColorsFromPixels(downsample(image), colorCount);
+  } catch (error) {
+    console.error('[ColorExtractor] Failed to extract colors:', error.message);
+    return getDefaultColors();
+  }
+}
+
+export default { extractColors };
@@ -0,0 +1,47 @@
+/**
+ * HA Sensors - entities shown by the ha-sensors widget
+ * The sensors file (config/ha-sensors.json) is also the allow-list for the
+ * entity state and history that LAN clients can read through this server:
+ * /api/ha/history and HA_WATCH only accept its entities (and HA_ENTITIES).
+ * The file is read on every call, so edits apply without a restart.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+/**
+ * Load the sensors file
+ * @param {string} path - JSON file: { history, sensors: [{ entity, name, ... }] }
+ * @returns {object|null} { history, sensors } or null if the file doesn't exist or can't be read
+ */
+export function loadHaSensors(path) {
+  if (!existsSync(path)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`[HASensors] Cannot read ${path}:`, error.message);
+    return null;
+  }
+
+  const sensors = (Array.isArray(config.sensors) ? config.sensors : []).filter((sensor, index) => {
+    const valid = typeof sensor?.entity === 'string' && sensor.entity.includes('.');
+    if (!valid) {
+      console.warn(`[HASensors] Skipping sensor ${index + 1} in ${path}: needs an entity id`);
+    }
+    return valid;
+  });
+
+  return { ...config, sensors };
+}
+
+/**
+ * Entities LAN clients may read
+ * @param {string} path - Sensors file
+ * @param {string[]} extra - Entities that are relayed anyway (HA_ENTITIES)
+ * @returns {Set<string>}
+ */
+export function getSensorEntities(path, extra = []) {
+  const sensors = loadHaSensors(path)?.sensors || [];
+  return new Set([...sensors.map(sensor => sensor.entity), ...extra]);
+}
@@ -0,0 +1,201 @@
+/**
+ * HA Service Proxy - Allow-listed, rate-limited Home Assistant service calls
+ * Only domain/service/entity combinations on the allow-list are forwarded.
+ * Each entity gets at most one call per minInterval, also when it's named
+ * together with others. A call for the same entities arriving in between
+ * replaces the pending one (the newest call wins, its data is not merged:
+ * HA rejects mixes like rgb_color with color_temp).
+ */
+
+import fetch from 'node-fetch';
+
+// Other ways HA lets a call pick its targets; they would bypass an entity allow-list
+const TARGET_FIELDS = ['target', 'area_id', 'device_id', 'floor_id', 'label_id'];
+
+/**
+ * Parse allow-list entries: "domain.service" (any entity) or "domain.service:entity_id"
+ * @param {string[]} entries
+ * @returns {Map<string, Set<string>|null>} "domain.service" -> allowed entities (null = any)
+ */
+export function parseAllowList(entries) {
+  const allowList = new Map();
+
+  entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [serviceKey, entityId] = entry.split(':').map(part => part.trim());
+
+      if (!/^[a-z_]+\.[a-z0-9_]+$/.test(serviceKey)) {
+        console.warn(`[HA Proxy] Ignoring invalid allow-list entry "${entry}"`);
+        return;
+      }
+
+      if (!entityId || entityId === '*') {
+        allowList.set(serviceKey, null);
+      } else if (allowList.get(serviceKey) !== null) {
+        const entities = allowList.get(serviceKey) || new Set();
+        entities.add(entityId);
+        allowList.set(serviceKey, entities);
+      }
+    });
+
+  return allowList;
+}
+
+export class HAServiceProxy {
+  /**
+   * @param {object} options
+   * @param {string} options.haUrl - Home Assistant URL
+   * @param {string} options.token - Long-lived access token
+   * @param {string[]} options.allowed - Allow-list entries (see parseAllowList)
+   * @param {number} options.minInterval - Minimum ms between calls per entity
+   */
+  constructor({ haUrl, token, allowed = [], minInterval = 1000 }) {
+    this.haUrl = haUrl;
+    this.token = token;
+    this.allowList = parseAllowList(allowed);
+    this.minInterval = minInterval;
+    this.lastSent = new Map(); // entity id (or domain.service without entities) -> timestamp
+    this.pending = new Map(); // sorted entity ids -> { domain, service, data, limitKeys, waiters, timerId }
+    this.stats = { sent: 0, coalesced: 0, blocked: 0 };
+  }
+
+  /**
+   * Check a call against the allow-list
+   * @returns {string|null} Reason it's blocked, or null if allowed
+   */
+  check(domain, service, data = {}) {
+    const reason = this.getBlockedReason(domain, service, data);
+    if (reason) {
+      this.stats.blocked++;
+    }
+    return reason;
+  }
+
+  getBlockedReason(domain, service, data) {
+    const serviceKey = `${domain}.${service}`;
+
+    if (!this.allowList.has(serviceKey)) {
+      return `${serviceKey} is not allowed`;
+    }
+
+    const allowedEntities = this.allowList.get(serviceKey);
+    if (allowedEntities === null) return null;
+
+    const targetField = TARGET_FIELDS.find(field => data?.[field] !== undefined);
+    if (targetField) {
+      return `${serviceKey} only accepts entity_id, not ${targetField}`;
+    }
+
+    const entityIds = getEntityIds(data);
+    if (!entityIds.length) {
+      return `${serviceKey} needs an entity_id`;
+    }
+
+    const blocked = entityIds.find(entityId => !allowedEntities.has(entityId));
+    return blocked ? `${serviceKey} is not allowed for ${blocked}` : null;
+  }
+
+  /**
+   * Call a service (after check()), rate limited per entity; a newer call for
+   * the same entities replaces one still waiting
+   * @returns {Promise<object>} HA response
+   */
+  call(domain, service, data = {}) {
+    const entityIds = getEntityIds(data);
+    const limitKeys = entityIds.length ? [...new Set(entityIds)].sort() : [`${domain}.${service}`];
+    const key = limitKeys.join(',');
+
+    return new Promise((resolve, reject) => {
+      const pending = this.pending.get(key);
+      if (pending) {
+        Object.assign(pending, { domain, service, data });
+        pending.waiters.push({ resolve, reject });
+        this.stats.coalesced++;
+        return;
+      }
+
+      this.pending.set(key, { domain, service, data, limitKeys, waiters: [{ resolve, reject }], timerId: null });
+      this.flush(key);
+    });
+  }
+
+  /**
+   * ms until every entity of a call is out of its interval
+   */
+  getWait(limitKeys, now = Date.now()) {
+    return Math.max(0, ...limitKeys.map(limitKey => (this.lastSent.get(limitKey) ?? -Infinity) + this.minInterval - now));
+  }
+
+  /**
+   * Send a pending call, or wait until its entities are free (another call may have used one meanwhile)
+   */
+  async flush(key) {
+    const pending = this.pending.get(key);
+    const wait = this.getWait(pending.limitKeys);
+
+    if (wait > 0) {
+      pending.timerId = setTimeout(() => this.flush(key), wait);
+      return;
+    }
+
+    const { domain, service, data, limitKeys, waiters } = pending;
+    this.pending.delete(key);
+
+    const now = Date.now();
+    limitKeys.forEach(limitKey => this.lastSent.set(limitKey, now));
+    this.stats.sent++;
+
+    try {
+      const result = await this.send(domain, service, data);
+      waiters.forEach(({ resolve }) => resolve(result));
+    } catch (error) {
+      waiters.forEach(({ reject }) => reject(error));
+    }
+  }
+
+  async send(domain, service, data) {
+    const response = await fetch(`${this.haUrl}/api/services/${domain}/${service}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Bearer ' + this.token,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HA API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Allow-list (for /api/ha/allowed) and call counters
+   */
+  getStatus() {
+    const allowed = [];
+    this.allowList.forEach((entities, serviceKey) => {
+      allowed.push({ service: serviceKey, entities: entities ? Array.from(entities) : '*' });
+    });
+
+    return { allowed, minInterval: this.minInterval, stats: { ...this.stats } };
+  }
+
+  stop() {
+    this.pending.forEach(pending => {
+      if (pending.timerId) clearTimeout(pending.timerId);
+    });
+    this.pending.clear();
+  }
+}
+
+function getEntityIds(data) {
+  const entityId = data?.entity_id;
+  if (!entityId) return [];
+  return (Array.isArray(entityId) ? entityId : String(entityId).split(',')).map(id => id.trim());
+}
+
+export default HAServiceProxy;
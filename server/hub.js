@@ -0,0 +1,810 @@
+/**
+ * Headless Hub - Server-side orchestration
+ * Runs Spotify polling, theme generation, beat timing and light pulsing in the
+ * Node process and pushes state to widgets over the WebSocket relay, so the
+ * overlay keeps working when OBS restarts or a scene unloads a browser source
+ */
+
+import { WebSocket } from 'ws';
+import { EventTypes } from '../shared/lib/event-bus.js';
+import SpotifyService from '../shared/services/spotify-service.js';
+import HomeAssistantService, { toLight } from '../shared/services/home-assistant-service.js';
+import ThemeEngine from '../shared/lib/theme-engine.js';
+import { extractColors } from './color-extractor.js';
+import { WidgetRegistry } from './widget-registry.js';
+import { ThemeLoader } from './theme-loader.js';
+import { AudioInput } from './audio-input.js';
+import { TempoTracker, bpmFromTaps } from '../shared/lib/tempo-tracker.js';
+import { LightScheduler } from '../shared/lib/light-scheduler.js';
+import { YeelightDriver } from './lights/yeelight-driver.js';
+import { LightOutput } from './lights/light-output.js';
+import { SceneRules } from './scene-rules.js';
+import { MqttBridge } from './mqtt-bridge.js';
+import { AlertManager } from './alerts.js';
+
+const TEMPO_ESTIMATE_INTERVAL = 2000; // Re-estimate live tempo every 2 seconds
+const MIN_TEMPO_CONFIDENCE = 0.3; // Ignore estimates below this confidence
+const TAP_RESET_AFTER = 2000; // A pause this long starts a new tap sequence
+const MUSIC_MODE_COMMANDS_PER_MINUTE = 300; // No quota in music mode, but bulbs can't fade faster
+
+export class HeadlessHub {
+  /**
+   * @param {ServerEventBus} eventBus - Server-side event bus
+   * @param {object} options
+   * @param {string} options.serverUrl - Base URL of this server (for the API proxies)
+   * @param {function} options.getConfig - Returns the current /api/config payload
+   * @param {object} options.homeAssistant - { url, token } for the HA WebSocket (token stays on the server)
+   * @param {object} options.audio - Audio input options (see AudioInput)
+   * @param {number} options.lightCommandsPerMinute - Command budget per light (see LightScheduler)
+   * @param {object} options.yeelight - Yeelights controlled over the LAN instead of HA (see YeelightDriver)
+   * @param {object} options.lightMapping - { fps, fixtures } for the light output (see loadLightMapping)
+   * @param {object} options.lightColors - Theme colors on ha lights: { enabled, minSaturation, minBrightness } (see LightOutput)
+   * @param {string} options.themesDir - Directory of genre theme files (see ThemeLoader)
+   * @param {function} options.getSensorEntities - Returns the Set of entities widgets may watch (see getSensorEntities)
+   * @param {object} options.sceneRules - { debounce, rules } for HA scene activation (see loadSceneRules)
+   * @param {object} options.mqtt - { url, username, password, discoveryPrefix, baseTopic } (see MqttBridge)
+   * @param {object} options.alerts - { alerts } HA events shown as overlay alerts (see loadAlerts)
+   */
+  constructor(eventBus, {
+    serverUrl,
+    getConfig,
+    homeAssistant = {},
+    audio = {},
+    lightCommandsPerMinute = 60,
+    yeelight = {},
+    lightMapping = null,
+    lightColors = {},
+    themesDir = 'themes',
+    getSensorEntities = () => new Set(),
+    sceneRules = null,
+    mqtt = {},
+    alerts = null,
+  }) {
+    this.eventBus = eventBus;
+    this.getConfig = getConfig;
+    this.lightMapping = lightMapping;
+    this.lightColors = lightColors;
+    this.getSensorEntities = getSensorEntities;
+
+    this.themeEngine = new ThemeEngine(eventBus, { extractColors });
+    this.themeLoader = new ThemeLoader({
+      dir: themesDir,
+      onChange: (themes) => this.handleThemesChanged(themes),
+    });
+    this.spotifyService = new SpotifyService(serverUrl);
+    this.haService = new HomeAssistantService(serverUrl, {
+      haUrl: homeAssistant.url,
+      token: homeAssistant.token,
+      WebSocket,
+      maxReconnectAttempts: Infinity, // The server keeps retrying with backoff
+    });
+    this.widgetRegistry = new WidgetRegistry(eventBus);
+    this.haEntities = new Set(); // Entities relayed to widgets
+    this.sceneRules = sceneRules?.rules.length
+      ? new SceneRules(eventBus, {
+        ...sceneRules,
+        activate: (domain, entityId) => this.haService.callService(domain, 'turn_on', { entity_id: entityId }),
+      })
+      : null;
+    this.alertManager = new AlertManager(eventBus, {
+      haService: this.haService,
+      alerts: alerts?.alerts || [],
+      flash: (entityIds, flashType) => this.flashAlertLights(entityIds, flashType),
+    });
+    this.mqttBridge = mqtt.url
+      ? new MqttBridge(eventBus, {
+        ...mqtt,
+        getThemes: () => this.themeEngine.getAvailableThemes(),
+        hasLightOutput: () => !!this.lightOutput,
+      })
+      : null;
+    this.yeelightDriver = new YeelightDriver({
+      ...yeelight,
+      onChange: (entityId, { musicMode }) => {
+        this.lightScheduler.setBudget(entityId, musicMode ? MUSIC_MODE_COMMANDS_PER_MINUTE : lightCommandsPerMinute);
+      },
+    });
+    this.lightScheduler = new LightScheduler({
+      send: (entityId, data) => this.sendLightCommand(entityId, data),
+      commandsPerMinute: lightCommandsPerMinute,
+    });
+    this.lightOutput = null;
+    this.audioInput = new AudioInput(eventBus, audio);
+    this.tempoTracker = new TempoTracker();
+
+    this.status = {
+      spotify: 'disconnected',
+      homeAssistant: 'disconnected',
+      eventBus: 'connected',
+      currentTrack: null,
+      lastUpdate: null,
+    };
+
+    this.firstPoll = true;
+    this.authRetryTimerId = null;
+    this.authRetryInterval = 30000; // Re-check Spotify auth every 30 seconds
+    this.tempoTimerId = null;
+    this.taps = [];
+    this.lastTrackData = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start all services
+   */
+  start() {
+    console.log('[Hub] Starting headless hub...');
+
+    const config = this.getConfig();
+
+    this.widgetRegistry.start();
+
+    this.startThemes();
+
+    // Overlay state as Home Assistant entities
+    this.mqttBridge?.start();
+
+    // Set up HA theme sync if enabled
+    if (config.widgets.syncThemeWithHALights) {
+      this.themeEngine.setSyncWithHomeAssistant(true);
+    }
+
+    if (config.homeAssistant.configured) {
+      this.startHomeAssistant(config);
+    } else {
+      console.warn('[Hub] Home Assistant not configured');
+    }
+
+    this.startLights(config);
+    this.startSpotify();
+
+    // Audio levels and spectrum for the visualizer and live tempo detection
+    if (config.widgets.enableAudioVisualizer || config.tempoDetection) {
+      this.audioInput.start();
+    }
+
+    this.startTempo(config);
+
+    this.eventBus.emit(EventTypes.HUB_READY, {
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Update hub status and broadcast it to the hub status panel
+   */
+  setStatus(patch) {
+    this.status = { ...this.status, ...patch };
+    this.eventBus.emit(EventTypes.HUB_STATUS, this.getStatus());
+  }
+
+  /**
+   * Get current hub status
+   */
+  getStatus() {
+    return {
+      ...this.status,
+      clients: this.eventBus.getClientCount(),
+      widgets: this.widgetRegistry.list().length,
+      beat: this.themeEngine.beatEngine.getState(),
+      tempo: this.themeEngine.tempo,
+      audio: this.audioInput.status,
+      lights: this.lightScheduler.getMetrics(),
+      fixtures: this.lightOutput?.getStatus() || [],
+      lightProgram: this.lightOutput?.getProgram() || null,
+      themeLock: this.themeEngine.getLock(),
+      sceneRules: this.sceneRules?.getStatus() || null,
+      yeelights: this.yeelightDriver.getStatus(),
+    };
+  }
+
+  // ==================== THEMES ====================
+
+  /**
+   * Genre themes (reloaded when the files change) and manual lock commands
+   */
+  startThemes() {
+    this.themeEngine.setThemes(this.themeLoader.load());
+    this.themeLoader.watch();
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.THEME_LOCK, (data) => {
+        try {
+          this.setThemeLock(data || {});
+        } catch (error) {
+          console.warn('[Hub] Theme lock rejected:', error.message);
+        }
+      }),
+      this.eventBus.on(EventTypes.THEME_UNLOCK, () => {
+        this.setThemeLock({ genre: null, bpm: null, colors: null });
+      })
+    );
+  }
+
+  /**
+   * Lock the genre theme, BPM and/or colors (null = back to auto)
+   * Only the fields present change; the lock holds across track changes
+   * @param {object} lock - { genre: theme key, bpm: number, colors: ['#rrggbb', ...] }
+   * @returns {object} The resulting lock
+   * @throws {Error} Unknown genre, invalid BPM or colors
+   */
+  setThemeLock(lock) {
+    if ('bpm' in lock && lock.bpm !== null && !(Number(lock.bpm) > 0)) {
+      throw new Error('bpm must be a positive number');
+    }
+
+    this.themeEngine.setLock(lock);
+
+    if ('bpm' in lock) {
+      const bpm = Number(lock.bpm);
+      this.setTempoOverride(lock.bpm !== null ? { bpm, source: 'manual' } : null);
+    }
+
+    const theme = this.themeEngine.refreshTheme();
+    if (theme) {
+      this.themeEngine.broadcastTheme(theme);
+    }
+
+    const current = this.themeEngine.getLock();
+    console.log(this.themeEngine.isLocked()
+      ? `[Hub] Theme locked: ${JSON.stringify(current)}`
+      : '[Hub] Theme back to auto');
+
+    this.setStatus({});
+    return current;
+  }
+
+  /**
+   * Theme files changed: restyle the current track with the new definitions
+   */
+  handleThemesChanged(themes) {
+    this.themeEngine.setThemes(themes);
+
+    const theme = this.themeEngine.refreshTheme();
+    if (theme) {
+      this.themeEngine.broadcastTheme(theme);
+      console.log(`[Hub] Themes reloaded, current theme: ${theme.genre}`);
+    }
+
+    // Theme lock select options
+    this.mqttBridge?.publishDiscovery();
+  }
+
+  /**
+   * Loaded themes and files that failed validation (for /api/themes)
+   */
+  getThemes() {
+    return {
+      themes: this.themeEngine.getAvailableThemes(),
+      errors: this.themeLoader.errors,
+    };
+  }
+
+  // ==================== HOME ASSISTANT ====================
+
+  startHomeAssistant(config) {
+    // Entities relayed to widgets: Yeelights, any extra HA_ENTITIES and those widgets ask for
+    const entities = this.haEntities;
+    [...config.yeelightEntities, ...config.haEntities].forEach(entityId => entities.add(entityId));
+
+    // Connection status comes from the real WebSocket state
+    this.haService.onStatusChange((status) => {
+      this.setStatus({ homeAssistant: status });
+
+      this.eventBus.emit(EventTypes.HA_CONNECTION_STATUS, {
+        connected: status === 'connected',
+        status,
+        timestamp: Date.now(),
+      });
+
+      // Initial states, and whatever changed while disconnected
+      if (status === 'connected') {
+        this.loadHomeAssistantStates(entities, config).then((count) => {
+          if (count !== null) console.log(`[Hub] Home Assistant connected, watching ${entities.size} entities`);
+        });
+      }
+    });
+
+    // Widgets (e.g. ha-sensors) ask for the entities they show
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.HA_WATCH, (data) =>
+        this.watchEntities(Array.isArray(data?.entities) ? data.entities : [], config))
+    );
+
+    // Live state_changed events
+    this.haService.on('*', (newState, entityId) => {
+      if (!newState || !entities.has(entityId)) return;
+      this.handleHomeAssistantState(newState, config);
+    });
+
+    this.haService.connect();
+
+    // Scenes and scripts activated by genre, energy and playback
+    this.sceneRules?.start();
+
+    // Doorbells, automations etc. as overlay alerts
+    this.alertManager.start();
+  }
+
+  /**
+   * Emit the current state of some entities
+   * @returns {Promise<number|null>} States found, null if the fetch failed
+   */
+  async loadHomeAssistantStates(entities, config) {
+    try {
+      const states = (await this.haService.getStates()).filter(state => entities.has(state.entity_id));
+      states.forEach(state => this.handleHomeAssistantState(state, config));
+      return states.length;
+    } catch (error) {
+      console.error('[Hub] HA state fetch failed:', error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Relay more entities to widgets; their current state is sent right away.
+   * Only configured sensor entities are accepted, any LAN client can ask.
+   * @param {string[]} entityIds
+   */
+  watchEntities(entityIds, config) {
+    const allowed = this.getSensorEntities();
+    const requested = new Set(entityIds.filter(entityId => !this.haEntities.has(entityId)));
+    const added = new Set([...requested].filter(entityId => allowed.has(entityId)));
+
+    if (added.size < requested.size) {
+      console.warn(`[Hub] Not watching ${requested.size - added.size} entities that aren't configured sensors`);
+    }
+
+    if (!added.size) return;
+
+    added.forEach(entityId => this.haEntities.add(entityId));
+    console.log(`[Hub] Watching ${[...added].join(', ')}`);
+
+    if (this.status.homeAssistant === 'connected') {
+      this.loadHomeAssistantStates(added, config);
+    }
+  }
+
+  handleHomeAssistantState(state, config) {
+    this.eventBus.emit(EventTypes.HA_STATE_CHANGE, {
+      entity_id: state.entity_id,
+      state: state.state,
+      attributes: state.attributes,
+      last_changed: state.last_changed,
+      timestamp: Date.now(),
+    });
+
+    if (!config.yeelightEntities.includes(state.entity_id)) return;
+
+    const light = toLight(state);
+    this.emitLightUpdate(light);
+
+    // Update theme if sync is enabled (not from lights the theme colors itself, that would feed back)
+    if (config.widgets.syncThemeWithHALights && !this.lightOutput?.drivesColor(light.entity_id)) {
+      this.themeEngine.updateFromHomeAssistant(light);
+    }
+  }
+
+  emitLightUpdate(light) {
+    this.eventBus.emit(EventTypes.HA_LIGHT_UPDATE, {
+      entity_id: light.entity_id,
+      state: light.state,
+      brightness: light.brightness,
+      rgb_color: light.rgb_color,
+      color_temp: light.color_temp,
+      friendly_name: light.friendly_name,
+      timestamp: Date.now(),
+    });
+  }
+
+  // ==================== LIGHTS ====================
+
+  /**
+   * Drive the fixtures in the light mapping, or the Yeelights when there is none
+   */
+  startLights(config) {
+    const lanEntities = Object.keys(this.yeelightDriver.devices);
+    const mapping = this.lightMapping || {
+      fixtures: this.getDefaultFixtures(config, lanEntities),
+    };
+
+    if (!mapping.fixtures.length) return;
+
+    if (lanEntities.length) {
+      this.yeelightDriver.start();
+    }
+
+    this.lightOutput = new LightOutput(this.eventBus, {
+      fixtures: mapping.fixtures,
+      scheduler: this.lightScheduler,
+      fps: mapping.fps,
+      themeColors: this.lightColors,
+    });
+    this.lightOutput.start();
+
+    if (this.lightColors.enabled && config.widgets.syncThemeWithHALights) {
+      const synced = config.yeelightEntities.filter(entityId => !this.lightOutput.drivesColor(entityId));
+      console.warn(`[Hub] Theme colors drive the mapped lights, so SYNC_THEME_WITH_HA_LIGHTS only reads ${synced.length ? synced.join(', ') : 'no lights'}`);
+    }
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.LIGHT_PROGRAM, (data) => {
+        if (this.lightOutput.setProgram(data?.program || null)) {
+          this.setStatus({});
+        }
+      }),
+      this.eventBus.on(EventTypes.LIGHT_PULSE, (data) => {
+        if (this.lightOutput.setPulsing(data?.enabled !== false)) {
+          this.setStatus({});
+        }
+      })
+    );
+  }
+
+  /**
+   * HA Yeelights (YEELIGHT_ENTITIES) and LAN Yeelights (YEELIGHT_LAN)
+   * The strip (or the first light) is primary, the rest alternate secondary / accent
+   */
+  getDefaultFixtures(config, lanEntities) {
+    const haEntities = config.homeAssistant.configured ? config.yeelightEntities : [];
+    const entities = [...new Set([...haEntities, ...lanEntities])];
+
+    // Dominant color on the strip (or the first light), secondary and accent alternate across the rest
+    const strip = entities.find(entityId => entityId.includes('strip')) || entities[0];
+    let bulbIndex = 0;
+
+    return entities.map(entityId => ({
+      id: entityId,
+      backend: 'ha',
+      entity: entityId,
+      role: entityId === strip ? 'primary' : (bulbIndex++ % 2 === 0 ? 'secondary' : 'accent'),
+    }));
+  }
+
+  /**
+   * Send light.turn_on data over the LAN for YEELIGHT_LAN entities, through HA otherwise
+   */
+  sendLightCommand(entityId, data) {
+    if (this.yeelightDriver.handles(entityId)) {
+      return this.yeelightDriver.turnOn(entityId, data);
+    }
+
+    return this.haService.callService('light', 'turn_on', { entity_id: entityId, ...data });
+  }
+
+  /**
+   * Flash lights for an alert, right away (not through the pulse scheduler)
+   * @param {string[]|null} entityIds - Lights to flash, null = the mapped ha lights or Yeelights
+   * @param {string} flashType - 'short' or 'long'
+   */
+  flashAlertLights(entityIds, flashType) {
+    const lights = entityIds || this.lightOutput?.getEntities() || this.getConfig().yeelightEntities;
+
+    lights.forEach(entityId => {
+      if (this.yeelightDriver.handles(entityId)) {
+        this.yeelightDriver.turnOn(entityId, { flash: flashType }).catch(error => {
+          console.error(`[Hub] Alert flash failed for ${entityId}:`, error.message || error);
+        });
+      } else {
+        this.haService.flashLight(entityId, flashType);
+      }
+    });
+  }
+
+  /**
+   * Flash all fixtures (track changes; drops are handled by LightOutput)
+   */
+  flashLights() {
+    this.lightOutput?.flash();
+  }
+
+  // ==================== SPOTIFY ====================
+
+  /**
+   * Start Spotify polling once authenticated (safe to call repeatedly)
+   */
+  async startSpotify() {
+    if (this.spotifyService.isPolling) return;
+
+    if (this.authRetryTimerId) {
+      clearTimeout(this.authRetryTimerId);
+      this.authRetryTimerId = null;
+    }
+
+    try {
+      const isAuth = await this.spotifyService.isAuthenticated();
+
+      if (isAuth) {
+        this.setStatus({ spotify: 'connected' });
+        this.startSpotifyPolling();
+        return;
+      }
+
+      this.setStatus({ spotify: 'not_authenticated' });
+      console.warn('[Hub] Spotify not authenticated');
+
+      // Emit error to widgets
+      this.eventBus.emit(EventTypes.SPOTIFY_ERROR, {
+        message: 'Not authenticated',
+        authUrl: '/auth/spotify/login',
+      });
+    } catch (error) {
+      console.error('[Hub] Spotify auth check failed:', error);
+      this.setStatus({ spotify: 'error' });
+    }
+
+    this.scheduleAuthRetry();
+  }
+
+  scheduleAuthRetry() {
+    if (this.authRetryTimerId) return;
+
+    this.authRetryTimerId = setTimeout(() => {
+      this.authRetryTimerId = null;
+      this.startSpotify();
+    }, this.authRetryInterval);
+  }
+
+  startSpotifyPolling() {
+    // Polls just after each track ends, and at least every 15 seconds
+    this.spotifyService.startPolling((trackData, trackChanged, changes) => {
+      this.handleTrackData(trackData, trackChanged, changes);
+    });
+  }
+
+  async handleTrackData(trackData, trackChanged, changes = {}) {
+    if (trackData.error) {
+      this.setStatus({ spotify: 'error' });
+      this.eventBus.emit(EventTypes.SPOTIFY_ERROR, {
+        message: trackData.error,
+      });
+      this.scheduleAuthRetry();
+      return;
+    }
+
+    this.lastTrackData = trackData;
+
+    this.setStatus({
+      spotify: 'connected',
+      currentTrack: trackData.track.name,
+      lastUpdate: new Date().toLocaleTimeString(),
+    });
+
+    // Generate theme when track changes OR on first poll
+    if (trackChanged || this.firstPoll) {
+      console.log(`[Hub] ${this.firstPoll ? 'Initial load' : 'Track changed'}, generating new theme`);
+
+      try {
+        const theme = await this.themeEngine.generateThemeFromTrack(trackData);
+
+        if (theme) {
+          this.themeEngine.broadcastTheme(theme);
+          console.log('[Hub] Theme broadcasted:', theme.genre, `(${Math.round(theme.genreConfidence * 100)}%)`, theme.bpm, 'BPM', `(${theme.bpmSource})`);
+          this.emitTempo();
+        } else {
+          console.error('[Hub] Theme generation returned null/undefined');
+        }
+      } catch (error) {
+        console.error('[Hub] Theme generation failed:', error);
+      }
+
+      this.firstPoll = false;
+
+      // Align beat ticks with the real beats of the new track
+      this.loadAudioAnalysis(trackData);
+
+      // Flash the lights on track change
+      if (trackChanged) {
+        this.flashLights();
+      }
+    } else if (changes.seeked || changes.playbackChanged) {
+      this.syncBeat(trackData);
+    }
+
+    // Broadcast track update to all widgets
+    this.eventBus.emit(EventTypes.SPOTIFY_TRACK_UPDATE, trackData);
+
+    // Broadcast playback state
+    this.eventBus.emit(EventTypes.SPOTIFY_PLAYBACK_STATE, {
+      isPlaying: trackData.isPlaying,
+      progress_ms: trackData.track.progress_ms,
+      duration_ms: trackData.track.duration_ms,
+      seeked: !!changes.seeked,
+      timestamp: trackData.timestamp, // When progress_ms was sampled, for extrapolation
+    });
+  }
+
+  // ==================== TEMPO ====================
+
+  /**
+   * Live tempo detection (config.tempoDetection, from the audio input), tap
+   * tempo and manual overrides
+   */
+  startTempo(config) {
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.TEMPO_TAP, () => {
+        this.handleTap(Date.now());
+      }),
+      this.eventBus.on(EventTypes.TEMPO_OVERRIDE, (data) => {
+        const bpm = Number(data?.bpm);
+        this.setTempoOverride(bpm > 0 ? { bpm, source: 'manual' } : null);
+      })
+    );
+
+    if (!config.tempoDetection) return;
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.AUDIO_SPECTRUM_UPDATE, (data) => {
+        this.tempoTracker.addFrame(data.bands, data.timestamp);
+      }),
+      // Expect the genre's tempo range (DnB at 174, not 87)
+      this.eventBus.on(EventTypes.THEME_UPDATE, (theme) => {
+        this.tempoTracker.setPreferredRange(this.themeEngine.themes[theme.genre]?.bpm || null);
+      })
+    );
+
+    this.tempoTimerId = setInterval(() => this.updateDetectedTempo(), TEMPO_ESTIMATE_INTERVAL);
+  }
+
+  handleTap(timestamp) {
+    if (this.taps.length && timestamp - this.taps[this.taps.length - 1] > TAP_RESET_AFTER) {
+      this.taps = [];
+    }
+
+    this.taps.push(timestamp);
+    if (this.taps.length > 8) {
+      this.taps.shift();
+    }
+
+    const tapped = bpmFromTaps(this.taps);
+    if (tapped) {
+      this.setTempoOverride({ ...tapped, source: 'tap' });
+    }
+  }
+
+  setTempoOverride(override) {
+    const hadOverride = !!this.themeEngine.bpmOverride;
+    if (!override && !hadOverride) return;
+
+    this.themeEngine.setBPMOverride(override);
+    this.applyTempo();
+
+    console.log(override
+      ? `[Hub] Tempo override: ${override.bpm} BPM (${override.source})`
+      : '[Hub] Tempo override cleared');
+
+    // Back to Spotify's tempo: restore the track's beat grid
+    if (!override && this.themeEngine.tempo.source === 'spotify' && this.lastTrackData) {
+      this.loadAudioAnalysis(this.lastTrackData);
+    }
+  }
+
+  /**
+   * Feed the live estimate to the beat engine when nothing better is known
+   */
+  updateDetectedTempo() {
+    const estimate = this.tempoTracker.estimate();
+    if (!estimate || estimate.confidence < MIN_TEMPO_CONFIDENCE) return;
+
+    const previous = this.themeEngine.tempo;
+    this.themeEngine.setDetectedTempo(estimate);
+
+    // Spotify's analysis grid or an override wins
+    const beatEngine = this.themeEngine.beatEngine;
+    if (beatEngine.beatGrid || this.themeEngine.resolveTempo().source !== 'detected') return;
+
+    // Only re-grid on a real tempo change or phase drift, not estimate jitter
+    if (previous?.source === 'detected' && beatEngine.isRunning && Math.abs(estimate.bpm - previous.bpm) < 1) {
+      const interval = 60000 / estimate.bpm;
+      const offset = (((estimate.phase - beatEngine.gridStart) % interval) + interval) % interval;
+      if (Math.min(offset, interval - offset) < 50) return;
+    }
+
+    this.applyTempo();
+  }
+
+  /**
+   * Push the resolved tempo to the beat engine and widgets
+   */
+  applyTempo() {
+    const theme = this.themeEngine.updateTempo();
+    if (theme) {
+      this.themeEngine.broadcastTheme(theme);
+    }
+
+    this.emitTempo();
+  }
+
+  emitTempo() {
+    const tempo = this.themeEngine.tempo;
+    if (!tempo) return;
+
+    this.eventBus.emit(EventTypes.TEMPO_UPDATE, {
+      bpm: tempo.bpm,
+      confidence: tempo.confidence,
+      source: tempo.source,
+      timestamp: Date.now(),
+    });
+  }
+
+  // ==================== BEAT SYNC ====================
+
+  /**
+   * Load the track's audio analysis into the beat engine and anchor it
+   */
+  async loadAudioAnalysis(trackData) {
+    const beatEngine = this.themeEngine.beatEngine;
+
+    try {
+      const analysis = await this.spotifyService.getAudioAnalysis(trackData.track.id);
+
+      // Track changed again while loading, or the tempo is overridden
+      if (trackData.track.id !== this.spotifyService.currentTrackId) return;
+      if (this.themeEngine.bpmOverride) return;
+
+      if (analysis) {
+        beatEngine.setAnalysis(analysis);
+      }
+    } catch (error) {
+      console.error('[Hub] Audio analysis failed:', error);
+    }
+
+    this.syncBeat(trackData);
+  }
+
+  /**
+   * Re-anchor beat ticks to the playback position (track change, seek, pause/resume)
+   */
+  syncBeat(trackData) {
+    const beatEngine = this.themeEngine.beatEngine;
+
+    // Tapped, manual and detected tempos follow the room, not Spotify's playback
+    if (!beatEngine.beatGrid && ['tap', 'manual', 'detected'].includes(this.themeEngine.tempo?.source)) return;
+
+    if (!trackData.isPlaying) {
+      if (beatEngine.isRunning) {
+        beatEngine.stopBeat();
+      }
+      return;
+    }
+
+    beatEngine.syncPosition(trackData.track.progress_ms, trackData.timestamp);
+
+    if (!beatEngine.isRunning) {
+      beatEngine.startBeat();
+    }
+  }
+
+  /**
+   * Stop all services
+   */
+  stop() {
+    if (this.authRetryTimerId) {
+      clearTimeout(this.authRetryTimerId);
+      this.authRetryTimerId = null;
+    }
+
+    if (this.tempoTimerId) {
+      clearInterval(this.tempoTimerId);
+      this.tempoTimerId = null;
+    }
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    this.widgetRegistry.stop();
+    this.themeLoader.stop();
+    this.audioInput.stop();
+    this.lightOutput?.stop();
+    this.sceneRules?.stop();
+    this.mqttBridge?.stop();
+    this.alertManager.stop();
+    this.lightScheduler.stop();
+    this.yeelightDriver.stop();
+    this.spotifyService.stopPolling();
+    this.haService.disconnect();
+    this.themeEngine.beatEngine.destroy();
+  }
+}
+
+export default HeadlessHub;
@@ -0,0 +1,170 @@
+/**
+ * DMX Output - Art-Net and sACN (E1.31) universes over UDP
+ * Fixtures write their channels into a 512-slot universe buffer, which is
+ * sent every frame (DMX is stateless, receivers expect a steady refresh).
+ */
+
+import dgram from 'dgram';
+import { randomBytes } from 'crypto';
+
+const ARTNET_PORT = 6454;
+const SACN_PORT = 5568;
+const UNIVERSE_SIZE = 512;
+const SOURCE_NAME = 'OBS Rave Overlay';
+
+// One sACN component id per process
+const CID = randomBytes(16);
+
+/**
+ * ArtDmx packet (Art-Net 4)
+ * @param {number} universe - 15-bit port address (net << 8 | sub-net << 4 | universe)
+ * @param {Uint8Array} data - Channel values
+ * @param {number} sequence - 1-255 (0 disables sequencing)
+ */
+export function buildArtDmxPacket(universe, data, sequence = 0) {
+  const length = data.length + (data.length % 2); // Must be even
+  const packet = Buffer.alloc(18 + length);
+
+  packet.write('Art-Net\0', 0, 'ascii');
+  packet.writeUInt16LE(0x5000, 8); // OpDmx
+  packet.writeUInt16BE(14, 10); // Protocol version
+  packet[12] = sequence;
+  packet[13] = 0; // Physical port
+  packet[14] = universe & 0xff; // SubUni
+  packet[15] = (universe >> 8) & 0x7f; // Net
+  packet.writeUInt16BE(length, 16);
+  packet.set(data, 18);
+
+  return packet;
+}
+
+/**
+ * E1.31 data packet (root, framing and DMP layers)
+ * @param {number} universe - 1-63999
+ * @param {Uint8Array} data - Channel values
+ * @param {number} sequence - 0-255
+ * @param {number} priority - 0-200 (default 100)
+ */
+export function buildSacnPacket(universe, data, sequence = 0, priority = 100) {
+  const packet = Buffer.alloc(126 + data.length);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0); // Preamble size
+  packet.writeUInt16BE(0x0000, 2); // Postamble size
+  packet.write('ASC-E1.17\0\0\0', 4, 'ascii');
+  packet.writeUInt16BE(0x7000 | (packet.length - 16), 16);
+  packet.writeUInt32BE(0x00000004, 18); // VECTOR_ROOT_E131_DATA
+  CID.copy(packet, 22);
+
+  // Framing layer
+  packet.writeUInt16BE(0x7000 | (packet.length - 38), 38);
+  packet.writeUInt32BE(0x00000002, 40); // VECTOR_E131_DATA_PACKET
+  packet.write(SOURCE_NAME, 44, 63, 'utf8');
+  packet[108] = priority;
+  packet.writeUInt16BE(0, 109); // Sync address
+  packet[111] = sequence;
+  packet[112] = 0; // Options
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer
+  packet.writeUInt16BE(0x7000 | (packet.length - 115), 115);
+  packet[117] = 0x02; // VECTOR_DMP_SET_PROPERTY
+  packet[118] = 0xa1; // Address & data type
+  packet.writeUInt16BE(0x0000, 119); // First property address
+  packet.writeUInt16BE(0x0001, 121); // Address increment
+  packet.writeUInt16BE(data.length + 1, 123); // Property count (start code + slots)
+  packet[125] = 0x00; // DMX start code
+  packet.set(data, 126);
+
+  return packet;
+}
+
+/**
+ * sACN multicast group for a universe (239.255.hi.lo)
+ */
+export function sacnMulticastAddress(universe) {
+  return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+export class DmxUniverse {
+  /**
+   * @param {object} options
+   * @param {string} options.protocol - 'artnet' | 'sacn'
+   * @param {string} options.host - Node address (Art-Net default: broadcast, sACN default: multicast)
+   * @param {number} options.universe - Universe number
+   * @param {number} options.port - UDP port (default: 6454 Art-Net, 5568 sACN)
+   */
+  constructor({ protocol, host = null, universe = protocol === 'sacn' ? 1 : 0, port = null }) {
+    this.protocol = protocol;
+    this.universe = universe;
+    this.port = port || (protocol === 'sacn' ? SACN_PORT : ARTNET_PORT);
+    this.host = host || (protocol === 'sacn' ? sacnMulticastAddress(universe) : '255.255.255.255');
+
+    this.data = new Uint8Array(UNIVERSE_SIZE);
+    this.size = 0; // Highest channel in use
+    this.sequence = 0;
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', (error) => {
+      console.error(`[DMX] ${this.protocol} universe ${this.universe} error:`, error.message);
+    });
+    this.socket.bind(() => {
+      if (this.host === '255.255.255.255') this.socket.setBroadcast(true);
+    });
+  }
+
+  /**
+   * Write one fixture's frame into its channels
+   * @param {object} fixture - { address (1-based), channels: ['dimmer', 'red', 'green', 'blue', 'white', 'strobe', <number>] }
+   * @param {object} frame - { color: [r, g, b] at full intensity, level: 0-1 }
+   */
+  write(fixture, { color, level }) {
+    const channels = fixture.channels || ['red', 'green', 'blue'];
+    const hasDimmer = channels.includes('dimmer');
+    const [r, g, b] = hasDimmer ? color : color.map(value => value * level);
+
+    const values = {
+      dimmer: level * 255,
+      red: r,
+      green: g,
+      blue: b,
+      white: Math.min(r, g, b), // Pure white only when all three are up (strobes)
+      strobe: 0, // Strobing is done in software, on the beat
+    };
+
+    channels.forEach((channel, index) => {
+      const slot = fixture.address - 1 + index;
+      if (slot >= UNIVERSE_SIZE) return;
+
+      const value = typeof channel === 'number' ? channel : values[channel] ?? 0;
+      this.data[slot] = Math.max(0, Math.min(255, Math.round(value)));
+      this.size = Math.max(this.size, slot + 1);
+    });
+  }
+
+  /**
+   * Send the universe
+   */
+  flush() {
+    if (!this.size) return;
+
+    this.sequence = (this.sequence % 255) + 1;
+    const data = this.data.subarray(0, this.size);
+    const packet = this.protocol === 'sacn'
+      ? buildSacnPacket(this.universe, data, this.sequence)
+      : buildArtDmxPacket(this.universe, data, this.sequence);
+
+    this.socket.send(packet, this.port, this.host);
+  }
+
+  /**
+   * Black out and close the socket
+   */
+  stop() {
+    this.data.fill(0);
+    this.flush();
+    setTimeout(() => this.socket.close(), 100);
+  }
+}
+
+export default DmxUniverse;
@@ -0,0 +1,176 @@
+/**
+ * Light Effects - Named, parameterised effects and per-genre programs
+ *
+ * A program combines three effects:
+ *   - level: how bright each fixture is on each beat
+ *     (pulse, chase, alternate, strobe, breathe)
+ *   - color: which color each fixture shows (theme role colors, or colorCycle
+ *     through the album palette)
+ *   - drop: what happens on a drop (flash, blackoutHit)
+ *
+ * Level effects return one target per fixture for each beat, or null to leave
+ * a fixture alone: { from, to, duration, strobe } jumps to `from` (if set),
+ * then fades to `to` over `duration` ms; `strobe` adds a white hit.
+ * Intensity (0-1, from the track energy) scales how hard each effect hits.
+ */
+
+/**
+ * Brightness levels for an intensity
+ */
+export function getLevels(intensity) {
+  const bright = 0.5 + intensity * 0.5; // Range: 0.5-1
+  return {
+    bright,
+    dim: bright * 0.6, // 60% of max
+    floor: bright * 0.15, // Fixtures a chase/alternate has passed
+  };
+}
+
+export const LEVEL_EFFECTS = {
+  /**
+   * Every fixture hits on the beat and decays
+   * @param {number} every - Beats between hits (default: 1)
+   */
+  pulse({ fixtures, beatIndex, beatInterval, levels }, { every = 1 } = {}) {
+    if (beatIndex % every !== 0) return fixtures.map(() => null);
+
+    return fixtures.map(() => ({ from: levels.bright, to: levels.dim, duration: beatInterval * every * 0.9 }));
+  },
+
+  /**
+   * One fixture at a time, in mapping order
+   * @param {number} every - Beats per step (default: 1)
+   * @param {number} width - Fixtures lit per step (default: 1)
+   */
+  chase({ fixtures, beatIndex, beatInterval, levels }, { every = 1, width = 1 } = {}) {
+    if (beatIndex % every !== 0) return fixtures.map(() => null);
+
+    const head = Math.floor(beatIndex / every) % fixtures.length;
+
+    return fixtures.map((fixture, index) => {
+      const lit = (index - head + fixtures.length) % fixtures.length < width;
+      return lit
+        ? { from: levels.bright, to: levels.dim, duration: beatInterval * every * 0.9 }
+        : { to: levels.floor, duration: beatInterval * 0.5 };
+    });
+  },
+
+  /**
+   * Left and right groups take turns (fixture `side`, otherwise even/odd)
+   * @param {number} every - Beats per side (default: 1)
+   */
+  alternate({ fixtures, beatIndex, beatInterval, levels }, { every = 1 } = {}) {
+    if (beatIndex % every !== 0) return fixtures.map(() => null);
+
+    const activeSide = Math.floor(beatIndex / every) % 2 === 0 ? 'left' : 'right';
+
+    return fixtures.map((fixture, index) => {
+      const side = fixture.side || (index % 2 === 0 ? 'left' : 'right');
+      return side === activeSide
+        ? { from: levels.bright, to: levels.dim, duration: beatInterval * every * 0.9 }
+        : { to: levels.floor, duration: beatInterval * 0.5 };
+    });
+  },
+
+  /**
+   * White hits, faster with more energy: every bar, every 2 beats, every beat
+   * @param {number} every - Beats between hits (default: from intensity)
+   */
+  strobe({ fixtures, beatIndex, beatInterval, beatsPerBar, intensity, levels }, { every = null } = {}) {
+    const interval = every || (intensity > 0.8 ? 1 : intensity > 0.5 ? 2 : beatsPerBar);
+    const hit = beatIndex % interval === 0;
+
+    return fixtures.map(() => (hit
+      ? { strobe: true, from: levels.bright, to: levels.floor, duration: beatInterval * 0.5 }
+      : { to: levels.floor, duration: beatInterval * 0.5 }));
+  },
+
+  /**
+   * Slow swell and fade over a number of bars
+   * @param {number} bars - Bars per breath (default: 2)
+   */
+  breathe({ fixtures, beatIndex, beatInterval, beatsPerBar, levels }, { bars = 2 } = {}) {
+    const period = bars * beatsPerBar;
+    const phase = ((beatIndex % period) + 1) / period;
+    const level = levels.floor + (levels.bright - levels.floor) * (0.5 - 0.5 * Math.cos(2 * Math.PI * phase));
+
+    return fixtures.map(() => ({ to: level, duration: beatInterval }));
+  },
+};
+
+export const COLOR_EFFECTS = {
+  /**
+   * Theme color for the fixture's role (primary/secondary/accent)
+   */
+  theme({ fixtures }) {
+    return fixtures.map(() => null);
+  },
+
+  /**
+   * Step through the album palette, each fixture offset by one color
+   * @param {number} every - Beats per step (default: 1 bar)
+   * @param {boolean} spread - Offset fixtures from each other (default: true)
+   */
+  colorCycle({ fixtures, beatIndex, beatsPerBar, palette }, { every = null, spread = true } = {}) {
+    const interval = every || beatsPerBar;
+    if (beatIndex % interval !== 0 || !palette.length) return fixtures.map(() => null);
+
+    const step = Math.floor(beatIndex / interval);
+    return fixtures.map((fixture, index) => palette[(step + (spread ? index : 0)) % palette.length]);
+  },
+};
+
+export const DROP_EFFECTS = ['flash', 'blackoutHit'];
+
+// Default program per genre theme
+export const PROGRAMS = {
+  trance: {
+    level: { effect: 'breathe', bars: 2 },
+    color: { effect: 'colorCycle', every: 8 },
+    drop: { effect: 'blackoutHit', beats: 1 },
+  },
+  hardcore: {
+    level: { effect: 'strobe' },
+    color: { effect: 'theme' },
+    drop: { effect: 'blackoutHit', beats: 0.5 },
+  },
+  hardstyle: {
+    level: { effect: 'alternate' },
+    color: { effect: 'theme' },
+    drop: { effect: 'blackoutHit', beats: 0.5 },
+  },
+  techno: {
+    level: { effect: 'chase' },
+    color: { effect: 'theme' },
+    drop: { effect: 'flash' },
+  },
+  house: {
+    level: { effect: 'pulse' },
+    color: { effect: 'colorCycle', every: 16 },
+    drop: { effect: 'flash' },
+  },
+  dnb: {
+    level: { effect: 'chase', every: 2, width: 2 },
+    color: { effect: 'colorCycle' },
+    drop: { effect: 'blackoutHit', beats: 1 },
+  },
+  default: {
+    level: { effect: 'pulse' },
+    color: { effect: 'theme' },
+    drop: { effect: 'flash' },
+  },
+};
+
+/**
+ * Check a program's effect names
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+export function validateProgram(program) {
+  if (!program || typeof program !== 'object') return 'program must be an object';
+  if (!Object.hasOwn(LEVEL_EFFECTS, program.level?.effect ?? '')) return `unknown level effect "${program.level?.effect}"`;
+  if (!Object.hasOwn(COLOR_EFFECTS, program.color?.effect ?? '')) return `unknown color effect "${program.color?.effect}"`;
+  if (!DROP_EFFECTS.includes(program.drop?.effect)) return `unknown drop effect "${program.drop?.effect}"`;
+  return null;
+}
+
+export default { LEVEL_EFFECTS, COLOR_EFFECTS, DROP_EFFECTS, PROGRAMS, getLevels, validateProgram };
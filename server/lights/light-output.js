@@ -0,0 +1,613 @@
+/**
+ * Light Output - Fixtures fed by ThemeEngine colors and BeatEngine pulses
+ * A mapping (config/lights.json) lists fixtures with a backend and a role:
+ *   - primary / secondary / accent: which theme color the fixture shows
+ *   - strobeOnDownbeat: white strobe on the first beat of each bar
+ *
+ * Backends:
+ *   - ha: Home Assistant light entity (or a YEELIGHT_LAN bulb), sent through
+ *     the LightScheduler so pulses fit the per-light command budget
+ *   - wled: WLED controller (UDP realtime or JSON API)
+ *   - artnet / sacn: DMX fixtures in an Art-Net or sACN universe
+ * WLED and DMX fixtures are rendered every frame with smooth fades.
+ *
+ * What the fixtures do on beats and drops comes from a light program (see
+ * effects.js): the current theme's `lightProgram`, or one picked live.
+ *
+ * Theme colors go through saturation and brightness floors so dark or gray
+ * covers don't black out the room. With themeColors enabled, ha fixtures also
+ * get their role color (rgb_color) on each new theme; otherwise they only pulse.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { EventTypes } from '../../shared/lib/event-bus.js';
+import { mixOklch } from '../../shared/lib/color-extractor.js';
+import { DmxUniverse } from './dmx-output.js';
+import { WledOutput, MAX_REALTIME_LEDS } from './wled-output.js';
+import { LEVEL_EFFECTS, COLOR_EFFECTS, PROGRAMS, getLevels } from './effects.js';
+
+const BACKENDS = ['ha', 'wled', 'artnet', 'sacn'];
+const ROLES = ['primary', 'secondary', 'accent'];
+const DMX_CHANNELS = ['dimmer', 'red', 'green', 'blue', 'white', 'strobe'];
+
+const DEFAULT_FPS = 40;
+const COLOR_FADE = 1000; // ms to fade to a new theme color (themes set their own, see transition)
+const MIN_SATURATION = 0.35; // Default floors for theme colors on lights
+const MIN_BRIGHTNESS = 0.4;
+const GRAY_SATURATION = 0.08; // Below this a color is gray: no hue to saturate
+const STROBE_DURATION = 50; // ms of white on a downbeat strobe
+const FLASH_DURATION = 400; // ms of flashing on drops and track changes
+const FLASH_PERIOD = 100; // ms per on/off flash cycle
+const HIT_BEATS = 4; // A drop hit decays over a bar
+const WHITE = [255, 255, 255];
+
+/**
+ * Load and validate a light mapping file
+ * @param {string} path - JSON file: { fps, fixtures: [{ id, backend, role, strobeOnDownbeat, ... }] }
+ * @returns {object|null} { fps, fixtures } or null if the file doesn't exist
+ */
+export function loadLightMapping(path) {
+  if (!existsSync(path)) return null;
+
+  let mapping;
+  try {
+    mapping = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`[LightOutput] Cannot read ${path}:`, error.message);
+    return null;
+  }
+
+  const fixtures = (mapping.fixtures || []).filter((fixture, index) => {
+    const error = validateFixture(fixture);
+    if (error) {
+      console.warn(`[LightOutput] Skipping fixture ${fixture.id || index} in ${path}: ${error}`);
+    }
+    return !error;
+  });
+
+  console.log(`[LightOutput] Loaded ${fixtures.length} fixtures from ${path}`);
+
+  return { fps: mapping.fps || DEFAULT_FPS, fixtures };
+}
+
+/**
+ * @returns {string|null} What's wrong with a fixture, or null if it's valid
+ */
+function validateFixture(fixture) {
+  if (!fixture.id) return 'missing id';
+  if (!BACKENDS.includes(fixture.backend)) return `backend must be one of ${BACKENDS.join(', ')}`;
+  if (fixture.role && !ROLES.includes(fixture.role)) return `role must be one of ${ROLES.join(', ')}`;
+
+  if (fixture.backend === 'ha' && !fixture.entity) return 'ha fixtures need an entity';
+  if (fixture.backend === 'wled') {
+    if (!fixture.host) return 'wled fixtures need a host';
+    if (fixture.start !== undefined && !(Number.isInteger(fixture.start) && fixture.start >= 0)) {
+      return 'start must be a LED index (0 or more)';
+    }
+    if (fixture.ledCount !== undefined && !(Number.isInteger(fixture.ledCount) && fixture.ledCount > 0)) {
+      return 'ledCount must be a positive number of LEDs';
+    }
+    if ((fixture.start ?? 0) + (fixture.ledCount ?? 30) > MAX_REALTIME_LEDS) {
+      return `UDP realtime reaches the first ${MAX_REALTIME_LEDS} LEDs`;
+    }
+    if (fixture.segment !== undefined && !(Number.isInteger(fixture.segment) && fixture.segment >= 0)) {
+      return 'segment must be a WLED segment id (0 or more)';
+    }
+  }
+
+  if (fixture.backend === 'artnet' || fixture.backend === 'sacn') {
+    if (!Number.isInteger(fixture.address) || fixture.address < 1 || fixture.address > 512) {
+      return 'DMX fixtures need an address (1-512)';
+    }
+
+    const invalid = (fixture.channels || []).find(channel =>
+      typeof channel !== 'number' && !DMX_CHANNELS.includes(channel));
+    if (invalid !== undefined) return `unknown channel "${invalid}"`;
+  }
+
+  return null;
+}
+
+export class LightOutput {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {object[]} options.fixtures - Validated fixtures (see loadLightMapping)
+   * @param {LightScheduler} options.scheduler - Budgeted commands for ha fixtures
+   * @param {number} options.fps - Frame rate for WLED and DMX fixtures
+   * @param {object} options.themeColors - { enabled, minSaturation, minBrightness } (0-1)
+   *   enabled: send role colors to ha fixtures on each new theme
+   */
+  constructor(eventBus, { fixtures, scheduler, fps = DEFAULT_FPS, themeColors = {} }) {
+    this.eventBus = eventBus;
+    this.scheduler = scheduler;
+    this.fps = fps;
+    this.themeColors = {
+      enabled: !!themeColors.enabled,
+      minSaturation: themeColors.minSaturation ?? MIN_SATURATION,
+      minBrightness: themeColors.minBrightness ?? MIN_BRIGHTNESS,
+    };
+
+    this.outputs = new Map(); // Output key -> DmxUniverse | WledOutput
+    this.fixtures = fixtures.map(fixture => ({
+      ...fixture,
+      role: fixture.role || 'primary',
+      output: fixture.backend === 'ha' ? null : this.getOutput(fixture),
+      // Render state
+      color: WHITE,
+      colorFrom: WHITE,
+      colorStart: 0,
+      colorDuration: 0,
+      level: 0,
+      levelFrom: 0,
+      levelTo: 0,
+      levelStart: 0,
+      levelDuration: 0,
+      strobeUntil: 0,
+      bright: false,
+      sentColor: null, // Last rgb_color sent to an ha fixture
+    }));
+
+    this.colors = { primary: WHITE, secondary: WHITE, accent: WHITE };
+    this.palette = [];
+    this.colorFade = COLOR_FADE;
+    this.hasTheme = false;
+    this.genre = 'default';
+    this.themeProgram = null; // lightProgram of the current theme
+    this.programName = 'default';
+    this.program = PROGRAMS.default;
+    this.autoProgram = true; // Follow the genre until a program is picked
+
+    this.intensity = 0.5;
+    this.beatInterval = 500;
+    this.pulsing = true; // Beat and drop effects (off: steady theme colors)
+    this.holdUntil = 0; // Beat effects pause during a drop blackout
+    this.flashStart = 0;
+    this.dropTimerId = null;
+    this.frameTimerId = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Outputs are shared by fixtures on the same DMX universe or WLED host
+   */
+  getOutput(fixture) {
+    const key = fixture.backend === 'wled'
+      ? `wled:${fixture.host}`
+      : `${fixture.backend}:${fixture.host || ''}:${fixture.universe ?? ''}`;
+
+    if (!this.outputs.has(key)) {
+      this.outputs.set(key, fixture.backend === 'wled'
+        ? new WledOutput({ host: fixture.host, mode: fixture.mode, port: fixture.port })
+        : new DmxUniverse({ protocol: fixture.backend, host: fixture.host, universe: fixture.universe }));
+    }
+
+    const output = this.outputs.get(key);
+    if (fixture.backend === 'wled' && (fixture.mode || 'udp') !== output.mode) {
+      console.warn(`[LightOutput] ${fixture.id} uses ${output.mode} like the other fixtures on ${fixture.host}`);
+    }
+
+    return output;
+  }
+
+  /**
+   * Follow theme colors, beats and drops
+   */
+  start() {
+    this.scheduler.setLights(this.getEntities());
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.THEME_UPDATE, (theme) => this.setTheme(theme)),
+      this.eventBus.on(EventTypes.BEAT_TICK, (beatData) => this.beat(beatData)),
+      this.eventBus.on(EventTypes.DROP, () => this.drop())
+    );
+
+    if (this.outputs.size) {
+      this.frameTimerId = setInterval(() => this.render(), 1000 / this.fps);
+    }
+
+    const backends = [...new Set(this.fixtures.map(fixture => fixture.backend))];
+    console.log(`[LightOutput] Driving ${this.fixtures.length} fixtures (${backends.join(', ')})`);
+  }
+
+  /**
+   * Entities of the ha fixtures
+   */
+  getEntities() {
+    return this.fixtures.filter(fixture => fixture.backend === 'ha').map(fixture => fixture.entity);
+  }
+
+  /**
+   * Take role colors, album palette and genre from a theme
+   */
+  setTheme(theme) {
+    if (!theme?.colors) return;
+
+    ROLES.forEach(role => {
+      const rgb = parseColor(theme.colors[role]);
+      if (rgb) this.colors[role] = this.applyFloors(rgb);
+    });
+    this.palette = (theme.palette || []).map(parseColor).filter(Boolean).map(rgb => this.applyFloors(rgb));
+    this.colorFade = theme.transition?.duration ?? COLOR_FADE;
+    this.hasTheme = true;
+
+    this.genre = theme.genre;
+    this.themeProgram = theme.lightProgram || null;
+    if (this.autoProgram) this.applyThemeProgram();
+
+    this.applyRoleColors();
+  }
+
+  /**
+   * The theme's light program: a program name, an inline program, or the genre's default
+   */
+  applyThemeProgram() {
+    if (this.themeProgram && typeof this.themeProgram === 'object') {
+      this.applyProgram(`${this.genre} (theme)`, this.themeProgram);
+      return;
+    }
+
+    const name = [this.themeProgram, this.genre].find(candidate => typeof candidate === 'string' && Object.hasOwn(PROGRAMS, candidate)) || 'default';
+    this.applyProgram(name, PROGRAMS[name]);
+  }
+
+  /**
+   * Fade each fixture to its role's theme color (color cycles take over on their next step)
+   */
+  applyRoleColors() {
+    this.fixtures.forEach(fixture => this.fadeColor(fixture, this.colors[fixture.role], this.colorFade));
+    this.sendThemeColors();
+  }
+
+  /**
+   * Send ha fixtures their role color when it changed (themeColors mode)
+   */
+  sendThemeColors() {
+    if (!this.themeColors.enabled || !this.hasTheme) return;
+
+    this.fixtures.forEach(fixture => {
+      const color = this.colors[fixture.role];
+      if (fixture.backend !== 'ha' || fixture.sentColor?.every((value, index) => value === color[index])) return;
+
+      fixture.sentColor = color;
+      this.scheduler.command(fixture.entity, {
+        rgb_color: color,
+        transition: Math.round(Math.min(2000, this.colorFade) / 100) / 10,
+      });
+    });
+  }
+
+  /**
+   * Whether an entity's color comes from the theme (so it must not feed back into it)
+   */
+  drivesColor(entityId) {
+    return this.themeColors.enabled && this.getEntities().includes(entityId);
+  }
+
+  /**
+   * Raise a color to the saturation and brightness floors (grays stay gray)
+   */
+  applyFloors(rgb) {
+    const { minSaturation, minBrightness } = this.themeColors;
+    const [r, g, b] = rgb.map(value => value / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+
+    let saturation = max ? (max - min) / max : 0;
+    if (saturation >= GRAY_SATURATION) saturation = Math.max(saturation, minSaturation);
+    const value = Math.max(max, minBrightness);
+
+    // Rebuild from hue, keeping each channel's position between min and max
+    return [r, g, b].map(channel => {
+      const position = max === min ? 1 : (channel - min) / (max - min);
+      return Math.round(255 * value * (1 - saturation * (1 - position)));
+    });
+  }
+
+  fadeColor(fixture, color, duration, now = Date.now()) {
+    fixture.colorFrom = this.getColor(fixture, now);
+    fixture.color = color;
+    fixture.colorStart = now;
+    fixture.colorDuration = duration;
+  }
+
+  /**
+   * Turn beat and drop effects on or off; off leaves every fixture at full
+   * brightness in its theme color
+   * @returns {boolean} Whether it changed
+   */
+  setPulsing(enabled) {
+    if (enabled === this.pulsing) return false;
+
+    this.pulsing = enabled;
+
+    if (!enabled) {
+      const now = Date.now();
+
+      this.fixtures.forEach(fixture => {
+        if (fixture.backend === 'ha') {
+          this.scheduler.command(fixture.entity, { brightness: 255, transition: 1 });
+        } else {
+          this.fadeLevel(fixture, { from: this.getLevel(fixture, now), to: 1, duration: this.colorFade, now });
+        }
+      });
+    }
+
+    console.log(`[LightOutput] Beat pulsing ${enabled ? 'on' : 'off'}`);
+    return true;
+  }
+
+  /**
+   * Pick a light program, or null to follow the genre again
+   * @returns {boolean} Whether the program exists
+   */
+  setProgram(name) {
+    if (!name) {
+      this.autoProgram = true;
+      this.applyThemeProgram();
+      return true;
+    }
+
+    if (typeof name !== 'string' || !Object.hasOwn(PROGRAMS, name)) {
+      console.warn(`[LightOutput] Unknown light program "${name}"`);
+      return false;
+    }
+
+    this.autoProgram = false;
+    this.applyProgram(name, PROGRAMS[name]);
+    return true;
+  }
+
+  applyProgram(name, program) {
+    if (name === this.programName && JSON.stringify(program) === JSON.stringify(this.program)) return;
+
+    this.programName = name;
+    this.program = program;
+    this.applyRoleColors();
+
+    console.log(`[LightOutput] Program: ${name}${this.autoProgram ? ' (auto)' : ''}`);
+  }
+
+  /**
+   * Run the program's level and color effects for a beat: DMX/WLED fixtures
+   * follow every beat, ha fixtures only on their scheduler pulse grid
+   */
+  beat(beatData) {
+    const beatsPerBar = beatData.beatsPerBar || 4;
+    const now = Date.now();
+
+    this.scheduler.advance(beatData);
+    this.beatInterval = beatData.beatInterval;
+
+    // Energy modulation: higher energy = harder effects
+    this.intensity = Math.max(0, Math.min(1, beatData.audioFeatures?.energy ?? 0.5));
+
+    if (!this.pulsing || now < this.holdUntil) return;
+
+    const context = {
+      fixtures: this.fixtures,
+      beatIndex: this.scheduler.barCount * beatsPerBar + beatData.barPosition,
+      beatInterval: beatData.beatInterval,
+      beatsPerBar,
+      intensity: this.intensity,
+      levels: getLevels(this.intensity),
+      palette: this.palette,
+    };
+    const { level, color } = this.program;
+    const targets = LEVEL_EFFECTS[level.effect](context, level);
+    const colors = COLOR_EFFECTS[color.effect](context, color);
+
+    this.fixtures.forEach((fixture, index) => {
+      const target = targets[index];
+      const strobe = target?.strobe || (fixture.strobeOnDownbeat && beatData.downbeat);
+
+      if (colors[index]) {
+        this.fadeColor(fixture, colors[index], Math.min(this.colorFade, beatData.beatInterval), now);
+      }
+
+      if (fixture.backend === 'ha') {
+        const stride = this.scheduler.pulseStride(fixture.entity, beatData);
+        if (!stride) return;
+
+        if (strobe) {
+          this.scheduler.command(fixture.entity, { flash: 'short' }, { droppable: true });
+          return;
+        }
+
+        if (!target) return;
+
+        // One command per pulse: hits alternate between their peak and decay level
+        let value = target.to;
+        if (target.from !== undefined) {
+          fixture.bright = !fixture.bright;
+          value = fixture.bright ? target.from : target.to;
+        }
+
+        this.scheduler.command(fixture.entity, {
+          brightness: Math.max(1, Math.round(255 * value)),
+          transition: this.scheduler.getTransition(beatData.beatInterval * stride),
+        }, { droppable: true });
+        return;
+      }
+
+      if (target) {
+        this.fadeLevel(fixture, {
+          from: target.from ?? this.getLevel(fixture, now),
+          to: target.to,
+          duration: target.duration,
+          now,
+        });
+      }
+
+      if (strobe) {
+        fixture.strobeUntil = now + STROBE_DURATION;
+      }
+    });
+  }
+
+  /**
+   * Run the program's drop effect
+   */
+  drop() {
+    if (!this.pulsing) return;
+
+    const { drop } = this.program;
+
+    if (drop.effect === 'blackoutHit') {
+      this.blackoutHit(this.beatInterval * (drop.beats ?? 1));
+    } else {
+      this.flash();
+    }
+  }
+
+  /**
+   * Black out for a moment, then hit everything at full and decay over a bar
+   */
+  blackoutHit(blackout) {
+    const now = Date.now();
+    this.holdUntil = now + blackout;
+
+    this.fixtures.forEach(fixture => {
+      if (fixture.backend === 'ha') {
+        this.scheduler.command(fixture.entity, { brightness: 1, transition: 0 });
+      } else {
+        this.fadeLevel(fixture, { from: 0, to: 0, duration: 0, now });
+      }
+    });
+
+    if (this.dropTimerId) clearTimeout(this.dropTimerId);
+    this.dropTimerId = setTimeout(() => {
+      this.dropTimerId = null;
+      const hitAt = Date.now();
+      const { dim } = getLevels(this.intensity);
+
+      this.fixtures.forEach(fixture => {
+        if (fixture.backend === 'ha') {
+          this.scheduler.command(fixture.entity, { brightness: 255, transition: 0 });
+        } else {
+          fixture.strobeUntil = hitAt + STROBE_DURATION * 2;
+          this.fadeLevel(fixture, { from: 1, to: dim, duration: this.beatInterval * HIT_BEATS, now: hitAt });
+        }
+      });
+    }, blackout);
+  }
+
+  fadeLevel(fixture, { from, to, duration, now = Date.now() }) {
+    fixture.levelFrom = from;
+    fixture.levelTo = to;
+    fixture.levelStart = now;
+    fixture.levelDuration = duration;
+  }
+
+  /**
+   * Flash every fixture (drops, track changes), unless beat pulsing is off
+   */
+  flash() {
+    if (!this.pulsing) return;
+
+    this.flashStart = Date.now();
+
+    this.getEntities().forEach(entityId => {
+      this.scheduler.command(entityId, { flash: 'short' });
+    });
+  }
+
+  /**
+   * Render one frame to the WLED and DMX outputs
+   */
+  render() {
+    const now = Date.now();
+    const flashing = now - this.flashStart < FLASH_DURATION;
+    const flashOn = flashing && Math.floor((now - this.flashStart) / (FLASH_PERIOD / 2)) % 2 === 0;
+
+    this.fixtures.forEach(fixture => {
+      if (!fixture.output) return;
+
+      fixture.level = this.getLevel(fixture, now);
+
+      if (flashing) {
+        fixture.output.write(fixture, { color: WHITE, level: flashOn ? 1 : 0 });
+      } else if (now < fixture.strobeUntil) {
+        fixture.output.write(fixture, { color: WHITE, level: 1 });
+      } else {
+        fixture.output.write(fixture, { color: this.getColor(fixture, now), level: fixture.level });
+      }
+    });
+
+    this.outputs.forEach(output => output.flush());
+  }
+
+  getLevel(fixture, now) {
+    const progress = fixture.levelDuration ? Math.min(1, (now - fixture.levelStart) / fixture.levelDuration) : 1;
+    return fixture.levelFrom + (fixture.levelTo - fixture.levelFrom) * progress;
+  }
+
+  getColor(fixture, now) {
+    const progress = fixture.colorDuration ? Math.min(1, (now - fixture.colorStart) / fixture.colorDuration) : 1;
+    if (progress >= 1) return fixture.color;
+
+    // Same OKLCH crossfade as the widgets (see ThemeTransition)
+    const [fromR, fromG, fromB] = fixture.colorFrom;
+    const [toR, toG, toB] = fixture.color;
+    const { r, g, b } = mixOklch({ r: fromR, g: fromG, b: fromB }, { r: toR, g: toG, b: toB }, progress);
+    return [r, g, b];
+  }
+
+  /**
+   * Current program and the ones that can be picked
+   */
+  getProgram() {
+    return { name: this.programName, auto: this.autoProgram, pulsing: this.pulsing, available: Object.keys(PROGRAMS) };
+  }
+
+  /**
+   * Fixture list with roles and current levels (for /api/hub/status)
+   */
+  getStatus() {
+    return this.fixtures.map(fixture => ({
+      id: fixture.id,
+      backend: fixture.backend,
+      role: fixture.role,
+      strobeOnDownbeat: !!fixture.strobeOnDownbeat,
+      level: fixture.backend === 'ha' ? null : Math.round(fixture.level * 100) / 100,
+    }));
+  }
+
+  /**
+   * Stop rendering and black out the DMX/WLED fixtures
+   */
+  stop() {
+    if (this.frameTimerId) {
+      clearInterval(this.frameTimerId);
+      this.frameTimerId = null;
+    }
+
+    if (this.dropTimerId) {
+      clearTimeout(this.dropTimerId);
+      this.dropTimerId = null;
+    }
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    this.outputs.forEach(output => output.stop());
+    this.outputs.clear();
+  }
+}
+
+/**
+ * 'rgb(r, g, b)' or '#rrggbb' -> [r, g, b]
+ */
+function parseColor(color) {
+  if (typeof color !== 'string') return null;
+
+  const rgb = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+  if (rgb) return rgb.slice(1, 4).map(Number);
+
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  if (hex) return hex.slice(1, 4).map(value => parseInt(value, 16));
+
+  return null;
+}
+
+export default LightOutput;
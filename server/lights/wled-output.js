@@ -0,0 +1,137 @@
+/**
+ * WLED Output - WLED controllers via UDP realtime (DRGB) or the JSON API
+ * UDP realtime is sent every frame and falls back to the WLED preset when
+ * frames stop. The JSON API is only sent on change and throttled, so it
+ * suits slow color changes better than beat pulses.
+ *
+ * Fixtures on the same host share one output: over UDP each fixture fills its
+ * own LEDs (start, ledCount) of one frame, over the JSON API its own segment.
+ */
+
+import dgram from 'dgram';
+import fetch from 'node-fetch';
+
+const REALTIME_PORT = 21324;
+const DRGB = 2; // Realtime protocol: RGB for every LED from index 0
+const REALTIME_TIMEOUT = 2; // Seconds without frames before WLED resumes its own effect
+const JSON_MIN_INTERVAL = 150; // ms between JSON API calls
+export const MAX_REALTIME_LEDS = 490; // LEDs a DRGB packet can carry
+
+export class WledOutput {
+  /**
+   * @param {object} options
+   * @param {string} options.host - WLED address
+   * @param {string} options.mode - 'udp' (realtime) | 'json'
+   * @param {number} options.port - Realtime UDP port
+   */
+  constructor({ host, mode = 'udp', port = REALTIME_PORT }) {
+    this.host = host;
+    this.mode = mode;
+    this.port = port;
+
+    this.leds = Buffer.alloc(0); // udp: RGB per LED, grown to the highest fixture LED
+    this.segments = new Map(); // json: segment id -> [r, g, b]
+
+    // JSON API state
+    this.lastSent = null;
+    this.lastSentAt = 0;
+    this.busy = false;
+    this.failing = false;
+
+    if (mode === 'udp') {
+      this.socket = dgram.createSocket('udp4');
+      this.socket.on('error', (error) => {
+        console.error(`[WLED] ${this.host} error:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * @param {object} fixture - { start: first LED, ledCount } (udp) or { segment } (json)
+   * @param {object} frame - { color: [r, g, b] at full intensity, level: 0-1 }
+   */
+  write(fixture, { color, level }) {
+    const rgb = color.map(value => Math.max(0, Math.min(255, Math.round(value * level))));
+
+    if (this.mode !== 'udp') {
+      this.segments.set(fixture.segment ?? 0, rgb);
+      return;
+    }
+
+    const start = fixture.start ?? 0;
+    const end = Math.min(start + (fixture.ledCount ?? 30), MAX_REALTIME_LEDS);
+    if (end * 3 > this.leds.length) {
+      const leds = Buffer.alloc(end * 3);
+      this.leds.copy(leds);
+      this.leds = leds;
+    }
+
+    for (let led = start; led < end; led++) {
+      this.leds.set(rgb, led * 3);
+    }
+  }
+
+  flush() {
+    if (this.mode === 'udp') {
+      if (!this.leds.length) return;
+
+      const packet = Buffer.alloc(2 + this.leds.length);
+      packet[0] = DRGB;
+      packet[1] = REALTIME_TIMEOUT;
+      this.leds.copy(packet, 2);
+      this.socket.send(packet, this.port, this.host);
+      return;
+    }
+
+    if (!this.segments.size) return;
+
+    const key = JSON.stringify([...this.segments]);
+    if (this.busy || key === this.lastSent || Date.now() - this.lastSentAt < JSON_MIN_INTERVAL) return;
+
+    this.sendState(new Map(this.segments), key);
+  }
+
+  async sendState(segments, key) {
+    this.busy = true;
+    this.lastSentAt = Date.now();
+
+    // Each segment: color at full brightness, level as the segment brightness
+    const seg = Array.from(segments, ([id, rgb]) => {
+      const bri = Math.max(...rgb);
+      const color = bri ? rgb.map(value => Math.round((value / bri) * 255)) : [0, 0, 0];
+      return { id, on: bri > 0, bri, col: [color] };
+    });
+
+    try {
+      const response = await fetch(`http://${this.host}/json/state`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ on: seg.some(segment => segment.on), transition: 0, seg }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      this.lastSent = key;
+      this.failing = false;
+    } catch (error) {
+      // Log once per outage, not once per frame
+      if (!this.failing) {
+        console.error(`[WLED] ${this.host} JSON API failed:`, error.message);
+        this.failing = true;
+      }
+    }
+
+    this.busy = false;
+  }
+
+  stop() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+export default WledOutput;
@@ -0,0 +1,446 @@
+/**
+ * Yeelight Driver - Direct LAN control of Yeelight bulbs (no Home Assistant)
+ * Speaks the Yeelight JSON-over-TCP protocol (port 55443) with SSDP-style
+ * discovery on 239.255.255.250:1982. In music mode the bulb connects back to
+ * us and accepts commands without the ~60/minute quota.
+ *
+ * Takes the same data as HA's light.turn_on (brightness 0-255, rgb_color,
+ * transition in seconds, flash), so it can replace the HA path per entity.
+ */
+
+import net from 'net';
+import dgram from 'dgram';
+
+const DISCOVERY_ADDRESS = '239.255.255.250';
+const DISCOVERY_PORT = 1982;
+const DEFAULT_PORT = 55443;
+const COMMAND_TIMEOUT = 5000;
+const RECONNECT_DELAY = 5000;
+const MIN_DURATION = 30; // Shortest "smooth" effect the bulbs accept (ms)
+
+/**
+ * Discover bulbs on the LAN
+ * @param {object} options
+ * @param {number} options.timeout - How long to collect replies (ms)
+ * @param {string} options.address - Discovery address (multicast group by default)
+ * @returns {Promise<Map<string, object>>} Bulb id -> { id, host, port, model, name, power, ... }
+ */
+export function discoverYeelights({ timeout = 3000, address = DISCOVERY_ADDRESS } = {}) {
+  return new Promise((resolve) => {
+    const bulbs = new Map();
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    let timerId = null;
+
+    // An error and the timeout can both end discovery; close the socket once
+    const finish = () => {
+      if (!timerId) return;
+      clearTimeout(timerId);
+      timerId = null;
+      socket.close();
+      resolve(bulbs);
+    };
+
+    socket.on('message', (message) => {
+      const bulb = parseDiscoveryReply(message.toString());
+      if (bulb) bulbs.set(bulb.id, bulb);
+    });
+
+    socket.on('error', (error) => {
+      console.error('[Yeelight] Discovery error:', error.message);
+      finish();
+    });
+
+    const search = [
+      'M-SEARCH * HTTP/1.1',
+      `HOST: ${DISCOVERY_ADDRESS}:${DISCOVERY_PORT}`,
+      'MAN: "ssdp:discover"',
+      'ST: wifi_bulb',
+      '',
+      '',
+    ].join('\r\n');
+
+    socket.bind(() => {
+      socket.send(search, DISCOVERY_PORT, address);
+    });
+
+    timerId = setTimeout(finish, timeout);
+  });
+}
+
+/**
+ * Parse an SSDP reply / advertisement ("Location: yeelight://host:port", "id: 0x...")
+ */
+export function parseDiscoveryReply(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+
+  const location = /yeelight:\/\/([^:/]+):(\d+)/.exec(headers.location || '');
+  if (!location || !headers.id) return null;
+
+  return {
+    id: headers.id,
+    host: location[1],
+    port: parseInt(location[2], 10),
+    model: headers.model,
+    name: headers.name || null,
+    power: headers.power,
+    support: (headers.support || '').split(' ').filter(Boolean),
+  };
+}
+
+/**
+ * One bulb: command connection, pending replies, optional music mode
+ */
+class YeelightBulb {
+  constructor(entityId, { host, port = DEFAULT_PORT }, { musicMode, musicHost, onChange }) {
+    this.entityId = entityId;
+    this.host = host;
+    this.port = port;
+    this.musicModeEnabled = musicMode;
+    this.musicHost = musicHost;
+    this.onChange = onChange;
+
+    this.socket = null;
+    this.buffer = '';
+    this.connected = false;
+    this.power = null;
+    this.messageId = 1;
+    this.pending = new Map();
+    this.reconnectTimerId = null;
+    this.stopped = false;
+
+    // Music mode: the bulb connects to our server and takes commands without replies
+    this.musicServer = null;
+    this.musicSocket = null;
+  }
+
+  connect() {
+    this.stopped = false;
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+    socket.setEncoding('utf8');
+
+    socket.on('connect', async () => {
+      this.connected = true;
+      console.log(`[Yeelight] Connected to ${this.entityId} (${this.host}:${this.port})`);
+
+      try {
+        [this.power] = await this.request('get_prop', ['power']);
+      } catch (error) {
+        console.warn(`[Yeelight] ${this.entityId} power query failed:`, error.message);
+      }
+
+      if (this.musicModeEnabled) {
+        this.startMusicMode();
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+        const line = this.buffer.slice(0, index);
+        this.buffer = this.buffer.slice(index + 2);
+        if (line.trim()) this.handleLine(line);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`[Yeelight] ${this.entityId} connection error:`, error.message);
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+
+      this.connected = false;
+      this.socket = null;
+      this.buffer = '';
+      this.rejectPending(new Error('Connection closed'));
+
+      if (!this.stopped) {
+        this.reconnectTimerId = setTimeout(() => {
+          this.reconnectTimerId = null;
+          this.connect();
+        }, RECONNECT_DELAY);
+      }
+    });
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.warn(`[Yeelight] ${this.entityId} sent invalid JSON:`, line);
+      return;
+    }
+
+    // Property change notification
+    if (message.method === 'props') {
+      if (message.params?.power) this.power = message.params.power;
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+
+    this.pending.delete(message.id);
+    clearTimeout(pending.timeoutId);
+
+    if (message.error) {
+      pending.reject(new Error(message.error.message || 'Yeelight error'));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  /**
+   * Send a command and wait for its result (command connection only)
+   */
+  request(method, params) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error(`${this.entityId} not connected`));
+        return;
+      }
+
+      const id = this.messageId++;
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, COMMAND_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timeoutId });
+      this.socket.write(JSON.stringify({ id, method, params }) + '\r\n');
+    });
+  }
+
+  /**
+   * Send a command, through music mode when it's active
+   */
+  async command(method, params) {
+    if (this.musicSocket) {
+      this.musicSocket.write(JSON.stringify({ id: this.messageId++, method, params }) + '\r\n');
+      return ['ok'];
+    }
+
+    return this.request(method, params);
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  startMusicMode() {
+    if (this.musicServer) return;
+
+    const server = net.createServer((socket) => {
+      // Only the first connection is the bulb
+      if (this.musicSocket) {
+        socket.destroy();
+        return;
+      }
+
+      this.musicSocket = socket;
+      socket.on('error', () => {});
+      socket.on('close', () => {
+        if (this.musicSocket !== socket) return;
+        this.musicSocket = null;
+        this.stopMusicServer();
+        console.warn(`[Yeelight] ${this.entityId} left music mode`);
+        this.onChange?.(this.entityId, { musicMode: false });
+
+        // Try again while the command connection is up
+        if (this.connected && !this.stopped) this.startMusicMode();
+      });
+
+      console.log(`[Yeelight] ${this.entityId} in music mode`);
+      this.onChange?.(this.entityId, { musicMode: true });
+    });
+    this.musicServer = server;
+
+    server.listen(0, () => {
+      this.request('set_music', [1, this.musicHost, server.address().port]).catch(error => {
+        console.warn(`[Yeelight] ${this.entityId} music mode failed:`, error.message);
+        this.stopMusicServer();
+      });
+    });
+  }
+
+  stopMusicServer() {
+    if (this.musicServer) {
+      this.musicServer.close();
+      this.musicServer = null;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+
+    if (this.reconnectTimerId) {
+      clearTimeout(this.reconnectTimerId);
+      this.reconnectTimerId = null;
+    }
+
+    this.musicSocket?.destroy();
+    this.musicSocket = null;
+    this.stopMusicServer();
+
+    this.socket?.destroy();
+    this.socket = null;
+    this.connected = false;
+    this.rejectPending(new Error('Stopped'));
+  }
+}
+
+export class YeelightDriver {
+  /**
+   * @param {object} options
+   * @param {object} options.devices - { entityId: 'host[:port]' or bulb id ('0x...', found by discovery) }
+   * @param {boolean} options.musicMode - Use music mode (no command quota)
+   * @param {string} options.musicHost - Our LAN address the bulbs connect back to in music mode
+   * @param {function} options.onChange - (entityId, { musicMode }) when a bulb enters/leaves music mode
+   */
+  constructor({ devices = {}, musicMode = false, musicHost = null, onChange = null } = {}) {
+    this.devices = devices;
+    this.musicMode = musicMode && !!musicHost;
+    this.musicHost = musicHost;
+    this.onChange = onChange;
+    this.bulbs = new Map(); // entityId -> YeelightBulb
+  }
+
+  /**
+   * Entities this driver controls
+   */
+  handles(entityId) {
+    return entityId in this.devices;
+  }
+
+  /**
+   * Resolve device ids by discovery and connect to every bulb
+   */
+  async start() {
+    const entries = Object.entries(this.devices);
+    if (!entries.length) return;
+
+    const needsDiscovery = entries.some(([, address]) => address.startsWith('0x'));
+    const discovered = needsDiscovery ? await discoverYeelights() : new Map();
+
+    entries.forEach(([entityId, address]) => {
+      let target;
+
+      if (address.startsWith('0x')) {
+        target = discovered.get(address);
+        if (!target) {
+          console.warn(`[Yeelight] Bulb ${address} (${entityId}) not found on the LAN`);
+          return;
+        }
+      } else {
+        const [host, port] = address.split(':');
+        target = { host, port: parseInt(port, 10) || DEFAULT_PORT };
+      }
+
+      const bulb = new YeelightBulb(entityId, target, {
+        musicMode: this.musicMode,
+        musicHost: this.musicHost,
+        onChange: this.onChange,
+      });
+      this.bulbs.set(entityId, bulb);
+      bulb.connect();
+    });
+  }
+
+  /**
+   * light.turn_on equivalent: brightness (0-255), rgb_color, transition (s), flash
+   */
+  async turnOn(entityId, data = {}) {
+    const bulb = this.getBulb(entityId);
+    const duration = Math.round((data.transition || 0) * 1000);
+    const effect = duration >= MIN_DURATION ? 'smooth' : 'sudden';
+    const smoothDuration = Math.max(MIN_DURATION, duration);
+
+    if (bulb.power !== 'on') {
+      await bulb.command('set_power', ['on', effect, smoothDuration]);
+      bulb.power = 'on';
+    }
+
+    if (data.flash) {
+      // Two bright white blinks, then back to the previous state
+      // (count is state changes: on + off per blink)
+      const blink = data.flash === 'long' ? 400 : 120;
+      return bulb.command('start_cf', [4, 0, `${blink},2,6500,100,${blink},2,6500,1`]);
+    }
+
+    const bright = data.brightness !== undefined
+      ? Math.max(1, Math.min(100, Math.round((data.brightness / 255) * 100)))
+      : null;
+
+    if (data.rgb_color) {
+      const [r, g, b] = data.rgb_color;
+      const rgb = (r << 16) + (g << 8) + b;
+
+      // Color and brightness in one command: a single-step color flow that stays
+      if (bright !== null) {
+        return bulb.command('start_cf', [1, 1, `${smoothDuration},1,${rgb},${bright}`]);
+      }
+      return bulb.command('set_rgb', [rgb, effect, smoothDuration]);
+    }
+
+    if (bright !== null) {
+      return bulb.command('set_bright', [bright, effect, smoothDuration]);
+    }
+
+    return ['ok'];
+  }
+
+  async turnOff(entityId, data = {}) {
+    const bulb = this.getBulb(entityId);
+    const duration = Math.round((data.transition || 0) * 1000);
+
+    await bulb.command('set_power', ['off', duration >= MIN_DURATION ? 'smooth' : 'sudden', Math.max(MIN_DURATION, duration)]);
+    bulb.power = 'off';
+    return ['ok'];
+  }
+
+  getBulb(entityId) {
+    const bulb = this.bulbs.get(entityId);
+    if (!bulb) {
+      throw new Error(`${entityId} is not a connected Yeelight`);
+    }
+    return bulb;
+  }
+
+  /**
+   * Connection and music mode state per entity
+   */
+  getStatus() {
+    const status = {};
+    this.bulbs.forEach((bulb, entityId) => {
+      status[entityId] = {
+        host: bulb.host,
+        connected: bulb.connected,
+        musicMode: !!bulb.musicSocket,
+        power: bulb.power,
+      };
+    });
+    return status;
+  }
+
+  stop() {
+    this.bulbs.forEach(bulb => bulb.stop());
+    this.bulbs.clear();
+  }
+}
+
+export default YeelightDriver;
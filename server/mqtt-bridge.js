@@ -0,0 +1,275 @@
+/**
+ * MQTT Bridge - Overlay state in Home Assistant via MQTT discovery
+ * Publishes discovery configs under one "Rave Overlay" device:
+ *   - sensors: now playing, artist, genre theme, BPM, energy, beat count
+ *   - binary sensor: playing
+ *   - select: theme lock (auto or a genre theme) -> THEME_LOCK
+ *   - switch: beat pulsing -> LIGHT_PULSE (only with a light output)
+ * States are retained on <baseTopic>/<object>/state, commands arrive on
+ * <baseTopic>/<object>/set. Discovery is republished when Home Assistant
+ * restarts (its birth message) and when the theme files change.
+ */
+
+import mqtt from 'mqtt';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+const DISCOVERY_PREFIX = 'homeassistant';
+const BASE_TOPIC = 'rave-overlay';
+const RECONNECT_PERIOD = 5000;
+const BEAT_PUBLISH_INTERVAL = 1000; // Beat count at most once a second, on a downbeat
+const AUTO = 'auto'; // Theme lock option for "follow the track"
+
+export class MqttBridge {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {string} options.url - Broker URL (mqtt://host:1883)
+   * @param {string} options.username
+   * @param {string} options.password
+   * @param {string} options.discoveryPrefix - HA discovery prefix (default: homeassistant)
+   * @param {string} options.baseTopic - Prefix for state and command topics (default: rave-overlay)
+   * @param {function} options.getThemes - Returns the available genre themes ([{ key, name }])
+   * @param {function} options.hasLightOutput - Whether lights are driven (beat pulsing can be switched)
+   */
+  constructor(eventBus, {
+    url,
+    username,
+    password,
+    discoveryPrefix = DISCOVERY_PREFIX,
+    baseTopic = BASE_TOPIC,
+    getThemes = () => [],
+    hasLightOutput = () => true,
+  }) {
+    this.eventBus = eventBus;
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.discoveryPrefix = discoveryPrefix;
+    this.baseTopic = baseTopic;
+    this.getThemes = getThemes;
+    this.hasLightOutput = hasLightOutput;
+    this.nodeId = baseTopic.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    this.client = null;
+    this.connected = false;
+    this.lastError = null; // Logged once until the next connect
+    this.states = {}; // Object id -> latest state payload
+    this.published = {}; // Object id -> payload last sent to the broker
+    this.lastBeatPublish = 0;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    this.client = mqtt.connect(this.url, {
+      username: this.username || undefined,
+      password: this.password || undefined,
+      reconnectPeriod: RECONNECT_PERIOD,
+      will: { topic: this.topic('availability'), payload: 'offline', retain: true },
+    });
+
+    this.client.on('connect', () => {
+      this.connected = true;
+      this.lastError = null;
+      console.log(`[MQTT] Connected to ${this.url}`);
+
+      this.client.publish(this.topic('availability'), 'online', { retain: true });
+      this.publishDiscovery();
+      this.client.subscribe([
+        this.topic('theme_lock/set'),
+        this.topic('beat_pulse/set'),
+        `${this.discoveryPrefix}/status`,
+      ]);
+
+      // Broker may have lost the retained states
+      this.published = {};
+      Object.keys(this.states).forEach(objectId => this.flush(objectId));
+    });
+
+    this.client.on('close', () => {
+      if (this.connected) console.warn('[MQTT] Disconnected, retrying...');
+      this.connected = false;
+    });
+
+    this.client.on('error', (error) => {
+      if (error.message === this.lastError) return;
+      this.lastError = error.message;
+      console.error('[MQTT] Error:', error.message);
+    });
+
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload.toString()));
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.SPOTIFY_TRACK_UPDATE, (trackData) => {
+        this.setState('track', trackData.track?.name || null);
+        this.setState('artist', trackData.track?.artist || null);
+      }),
+      this.eventBus.on(EventTypes.SPOTIFY_PLAYBACK_STATE, (playback) => {
+        this.setState('playing', playback.isPlaying ? 'ON' : 'OFF');
+      }),
+      this.eventBus.on(EventTypes.THEME_UPDATE, (theme) => {
+        const energy = theme.audioFeatures?.energy;
+        this.setState('genre', theme.genre);
+        this.setState('bpm', theme.bpm ? Math.round(theme.bpm) : null);
+        this.setState('energy', typeof energy === 'number' ? Math.round(energy * 100) : null);
+        this.setState('theme_lock', theme.lock?.genre || AUTO);
+      }),
+      this.eventBus.on(EventTypes.BEAT_TICK, (beatData) => {
+        const now = Date.now();
+        if (!beatData.downbeat || now - this.lastBeatPublish < BEAT_PUBLISH_INTERVAL) return;
+
+        this.lastBeatPublish = now;
+        this.setState('beat_count', beatData.beatCount);
+      }),
+      // Lock and pulsing also change without a new theme (e.g. nothing playing yet)
+      this.eventBus.on(EventTypes.HUB_STATUS, (status) => {
+        this.setState('theme_lock', status.themeLock?.genre || AUTO);
+        if (status.lightProgram) {
+          this.setState('beat_pulse', status.lightProgram.pulsing ? 'ON' : 'OFF');
+        }
+      })
+    );
+  }
+
+  topic(path) {
+    return `${this.baseTopic}/${path}`;
+  }
+
+  /**
+   * Entities as HA discovery configs: { component, objectId, config }
+   */
+  getEntities() {
+    const themes = this.getThemes();
+
+    const entities = [
+      { component: 'sensor', objectId: 'track', config: { name: 'Now Playing', icon: 'mdi:music' } },
+      { component: 'sensor', objectId: 'artist', config: { name: 'Artist', icon: 'mdi:account-music' } },
+      { component: 'sensor', objectId: 'genre', config: { name: 'Genre Theme', icon: 'mdi:palette' } },
+      {
+        component: 'sensor',
+        objectId: 'bpm',
+        config: { name: 'BPM', icon: 'mdi:metronome', unit_of_measurement: 'BPM', state_class: 'measurement' },
+      },
+      {
+        component: 'sensor',
+        objectId: 'energy',
+        config: { name: 'Energy', icon: 'mdi:lightning-bolt', unit_of_measurement: '%', state_class: 'measurement' },
+      },
+      {
+        component: 'sensor',
+        objectId: 'beat_count',
+        config: { name: 'Beat Count', icon: 'mdi:pulse', state_class: 'measurement' }, // Restarts with every track
+      },
+      { component: 'binary_sensor', objectId: 'playing', config: { name: 'Playing', icon: 'mdi:play-circle' } },
+      {
+        component: 'select',
+        objectId: 'theme_lock',
+        config: {
+          name: 'Theme Lock',
+          icon: 'mdi:lock',
+          options: [AUTO, ...themes.map(theme => theme.key)],
+          command_topic: this.topic('theme_lock/set'),
+        },
+      },
+    ];
+
+    if (this.hasLightOutput()) {
+      entities.push({
+        component: 'switch',
+        objectId: 'beat_pulse',
+        config: { name: 'Beat Pulsing', icon: 'mdi:lightbulb-on', command_topic: this.topic('beat_pulse/set') },
+      });
+    }
+
+    return entities;
+  }
+
+  discoveryTopic(component, objectId) {
+    return `${this.discoveryPrefix}/${component}/${this.nodeId}/${objectId}/config`;
+  }
+
+  /**
+   * Publish (retained) discovery configs for every entity
+   */
+  publishDiscovery() {
+    if (!this.connected) return;
+
+    const device = {
+      identifiers: [this.nodeId],
+      name: 'Rave Overlay',
+      manufacturer: 'obs-rave-overlay',
+      model: 'OBS overlay hub',
+    };
+
+    this.getEntities().forEach(({ component, objectId, config }) => {
+      const payload = {
+        ...config,
+        unique_id: `${this.nodeId}_${objectId}`,
+        object_id: `${this.nodeId}_${objectId}`,
+        state_topic: this.topic(`${objectId}/state`),
+        availability_topic: this.topic('availability'),
+        device,
+      };
+
+      this.client.publish(this.discoveryTopic(component, objectId), JSON.stringify(payload), { retain: true });
+    });
+
+    // A switch that can't do anything would stay "unknown"; remove one retained from an earlier run
+    if (!this.hasLightOutput()) {
+      this.client.publish(this.discoveryTopic('switch', 'beat_pulse'), '', { retain: true });
+    }
+  }
+
+  setState(objectId, value) {
+    // HA shows an empty payload as unknown
+    this.states[objectId] = value === null || value === undefined ? '' : String(value);
+    this.flush(objectId);
+  }
+
+  flush(objectId) {
+    const payload = this.states[objectId];
+    if (!this.connected || this.published[objectId] === payload) return;
+
+    this.published[objectId] = payload;
+    this.client.publish(this.topic(`${objectId}/state`), payload, { retain: true });
+  }
+
+  /**
+   * Commands from HA dashboards, and HA's birth message
+   */
+  handleMessage(topic, payload) {
+    if (topic === `${this.discoveryPrefix}/status`) {
+      if (payload === 'online') this.publishDiscovery();
+      return;
+    }
+
+    if (topic === this.topic('theme_lock/set')) {
+      if (payload !== AUTO && !this.getThemes().some(theme => theme.key === payload)) {
+        console.warn(`[MQTT] Unknown theme "${payload}"`);
+        return;
+      }
+
+      this.eventBus.emit(EventTypes.THEME_LOCK, { genre: payload === AUTO ? null : payload });
+      return;
+    }
+
+    if (topic === this.topic('beat_pulse/set') && this.hasLightOutput()) {
+      this.eventBus.emit(EventTypes.LIGHT_PULSE, { enabled: payload === 'ON' });
+    }
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.client) {
+      if (this.connected) {
+        this.client.publish(this.topic('availability'), 'offline', { retain: true });
+      }
+      this.client.end();
+      this.client = null;
+    }
+    this.connected = false;
+  }
+}
+
+export default MqttBridge;
@@ -0,0 +1,253 @@
+/**
+ * Scene Rules - Home Assistant scenes and scripts driven by the theme
+ * Rules (config/scene-rules.json) match the current theme and playback:
+ *   - genre: theme key, or a list of them
+ *   - intensity: intensityClass (low / medium / high), or a list
+ *   - bpm: { min, max }
+ *   - playback: 'playing' | 'paused'
+ *   - pausedFor: seconds paused (implies playback: 'paused')
+ *   - time: { from: 'HH:MM', to: 'HH:MM' } local time, may wrap past midnight
+ * All conditions of a rule must hold; the first matching rule wins. A new
+ * match has to hold for `debounce` ms before its scene.turn_on / script.turn_on
+ * is called, then HA_SCENE_CHANGE is emitted.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+const DEFAULT_DEBOUNCE = 5000; // ms a new match must hold before activating
+const EVALUATE_INTERVAL = 10000; // Re-check time of day and pause durations
+const CONDITIONS = ['genre', 'intensity', 'bpm', 'playback', 'pausedFor', 'time'];
+const INTENSITIES = ['low', 'medium', 'high'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Load and validate a scene rules file
+ * @param {string} path - JSON file: { debounce, rules: [{ name, when, scene | script }] }
+ * @returns {object|null} { debounce, rules } or null if the file doesn't exist
+ */
+export function loadSceneRules(path) {
+  if (!existsSync(path)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`[SceneRules] Cannot read ${path}:`, error.message);
+    return null;
+  }
+
+  const rules = (config.rules || [])
+    .map((rule, index) => ({ ...rule, name: rule.name || `rule ${index + 1}` }))
+    .filter(rule => {
+      const error = validateRule(rule);
+      if (error) {
+        console.warn(`[SceneRules] Skipping "${rule.name}" in ${path}: ${error}`);
+      }
+      return !error;
+    });
+
+  console.log(`[SceneRules] Loaded ${rules.length} rules from ${path}`);
+
+  return { debounce: config.debounce ?? DEFAULT_DEBOUNCE, rules };
+}
+
+/**
+ * @returns {string|null} What's wrong with a rule, or null if it's valid
+ */
+function validateRule(rule) {
+  if (!!rule.scene === !!rule.script) return 'needs either scene or script';
+  if (rule.scene && !String(rule.scene).startsWith('scene.')) return 'scene must be a scene.* entity';
+  if (rule.script && !String(rule.script).startsWith('script.')) return 'script must be a script.* entity';
+
+  const when = rule.when;
+  if (!when || typeof when !== 'object') return 'missing when';
+
+  const unknown = Object.keys(when).find(key => !CONDITIONS.includes(key));
+  if (unknown) return `unknown condition "${unknown}"`;
+
+  if (when.intensity && ![].concat(when.intensity).every(value => INTENSITIES.includes(value))) {
+    return `intensity must be ${INTENSITIES.join(', ')}`;
+  }
+  if (when.playback && !['playing', 'paused'].includes(when.playback)) return 'playback must be playing or paused';
+  if (when.pausedFor !== undefined && !(when.pausedFor > 0)) return 'pausedFor must be a number of seconds';
+  if (when.time && !(TIME_PATTERN.test(when.time.from) && TIME_PATTERN.test(when.time.to))) {
+    return 'time needs from and to as HH:MM';
+  }
+
+  return null;
+}
+
+export class SceneRules {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {object[]} options.rules - Validated rules (see loadSceneRules)
+   * @param {number} options.debounce - ms a new match must hold before activating
+   * @param {function} options.activate - async (domain, entityId) => result, null on failure
+   */
+  constructor(eventBus, { rules, debounce = DEFAULT_DEBOUNCE, activate }) {
+    this.eventBus = eventBus;
+    this.rules = rules;
+    this.debounce = debounce;
+    this.activate = activate;
+
+    this.theme = null;
+    this.playing = null; // null until the first playback state
+    this.pausedSince = null;
+
+    this.activeRule = null; // Last rule activated (null: none matches)
+    this.pendingRule = undefined; // Match waiting out the debounce
+    this.debounceTimerId = null;
+    this.intervalId = null;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.THEME_UPDATE, (theme) => {
+        this.theme = theme;
+        this.evaluate();
+      }),
+      this.eventBus.on(EventTypes.SPOTIFY_PLAYBACK_STATE, (playback) => {
+        this.setPlaying(playback.isPlaying);
+        this.evaluate();
+      })
+    );
+
+    this.intervalId = setInterval(() => this.evaluate(), EVALUATE_INTERVAL);
+
+    console.log(`[SceneRules] Watching ${this.rules.length} rules`);
+  }
+
+  setPlaying(isPlaying, now = Date.now()) {
+    if (isPlaying) {
+      this.pausedSince = null;
+    } else if (this.playing !== false) {
+      this.pausedSince = now;
+    }
+
+    this.playing = !!isPlaying;
+  }
+
+  /**
+   * First rule whose conditions all hold, or null
+   */
+  match(now = new Date()) {
+    return this.rules.find(rule => this.matches(rule.when, now)) || null;
+  }
+
+  matches(when, now) {
+    const theme = this.theme;
+
+    if (when.genre && !(theme && [].concat(when.genre).includes(theme.genre))) return false;
+    if (when.intensity && !(theme && [].concat(when.intensity).includes(theme.intensityClass))) return false;
+
+    if (when.bpm) {
+      if (!theme?.bpm) return false;
+      if (when.bpm.min !== undefined && theme.bpm < when.bpm.min) return false;
+      if (when.bpm.max !== undefined && theme.bpm > when.bpm.max) return false;
+    }
+
+    if (when.playback === 'playing' && this.playing !== true) return false;
+    if ((when.playback === 'paused' || when.pausedFor) && this.playing !== false) return false;
+    if (when.pausedFor && now.getTime() - this.pausedSince < when.pausedFor * 1000) return false;
+
+    if (when.time) {
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      const from = toMinutes(when.time.from);
+      const to = toMinutes(when.time.to);
+      const inRange = from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+      if (!inRange) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Activate the matching rule once it has held for the debounce time
+   */
+  evaluate() {
+    const rule = this.match();
+
+    if (rule === this.activeRule) {
+      this.cancelPending();
+      return;
+    }
+
+    if (rule === this.pendingRule) return;
+
+    this.cancelPending();
+    this.pendingRule = rule;
+    this.debounceTimerId = setTimeout(() => {
+      this.debounceTimerId = null;
+      this.pendingRule = undefined;
+      this.activeRule = rule;
+
+      if (rule) this.activateRule(rule);
+    }, this.debounce);
+  }
+
+  cancelPending() {
+    if (this.debounceTimerId) {
+      clearTimeout(this.debounceTimerId);
+      this.debounceTimerId = null;
+    }
+    this.pendingRule = undefined;
+  }
+
+  async activateRule(rule) {
+    const domain = rule.scene ? 'scene' : 'script';
+    const entityId = rule.scene || rule.script;
+
+    const result = await this.activate(domain, entityId);
+    if (result === null) {
+      console.error(`[SceneRules] ${entityId} failed ("${rule.name}")`);
+      return;
+    }
+
+    console.log(`[SceneRules] ${entityId} ("${rule.name}")`);
+
+    this.eventBus.emit(EventTypes.HA_SCENE_CHANGE, {
+      rule: rule.name,
+      entity_id: entityId,
+      domain,
+      genre: this.theme?.genre || null,
+      intensityClass: this.theme?.intensityClass || null,
+      bpm: this.theme?.bpm || null,
+      playing: this.playing,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Active and pending rule names (for /api/hub/status)
+   */
+  getStatus() {
+    return {
+      active: this.activeRule?.name || null,
+      pending: this.pendingRule?.name || null,
+      rules: this.rules.length,
+    };
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.cancelPending();
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export default SceneRules;
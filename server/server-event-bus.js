@@ -0,0 +1,143 @@
+/**
+ * Server Event Bus - EventBus running inside the Node server
+ * Relays client events between WebSocket connections and lets the
+ * headless hub emit and listen on the same bus as the widgets.
+ * Also acts as the state store: the latest value of each retained event
+ * emitted on the server is replayed to widgets that announce themselves
+ * with WIDGET_READY.
+ */
+
+import { WebSocket } from 'ws';
+import { EventBus, EventTypes, RetainedEventTypes } from '../shared/lib/event-bus.js';
+
+export class ServerEventBus extends EventBus {
+  /**
+   * @param {WebSocketServer} wss - WebSocket server the widgets connect to
+   */
+  constructor(wss) {
+    super('obs-overlay', { relayUrl: null });
+    this.wss = wss;
+    this.retained = new Map(); // Retained state messages by key
+
+    this.attach();
+  }
+
+  /**
+   * No BroadcastChannel on the server, clients are reached through the relay
+   */
+  connect() {}
+
+  /**
+   * Listen for client connections and relay their messages
+   */
+  attach() {
+    this.wss.on('connection', (ws, req) => {
+      console.log(`[WebSocket] Client connected (${req.socket.remoteAddress})`);
+
+      ws.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          console.error('[WebSocket] Invalid message:', error.message);
+          return;
+        }
+
+        if (!message || typeof message.type !== 'string') return;
+
+        // Only server-side emits are retained, so clients can't replace the
+        // theme or now-playing state that late widgets are sent
+        this.broadcast(message, ws);
+        this.handleMessage(message);
+
+        // Late-joining widget: send the current state snapshot
+        if (message.type === EventTypes.WIDGET_READY) {
+          ws.widgetInstance = message.data?.instance;
+          this.sendSnapshot(ws);
+        }
+      });
+
+      ws.on('close', () => {
+        console.log('[WebSocket] Client disconnected');
+
+        // A dropped socket may be a crash, a reload or a network blip; the
+        // registry keeps the widget as stale until it says goodbye or expires
+        if (ws.widgetInstance) {
+          this.emit(EventTypes.WIDGET_DISCONNECTED, {
+            instance: ws.widgetInstance,
+            goodbye: false,
+            timestamp: Date.now(),
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Keep the latest value of retained state events
+   */
+  retain(message) {
+    if (!(message.type in RetainedEventTypes)) return;
+
+    const keyField = RetainedEventTypes[message.type];
+    const key = keyField ? `${message.type}:${message.data?.[keyField]}` : message.type;
+
+    this.retained.set(key, message);
+  }
+
+  /**
+   * Replay all retained state messages to a single client
+   */
+  sendSnapshot(ws) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    this.retained.forEach(message => {
+      ws.send(JSON.stringify(message));
+    });
+  }
+
+  /**
+   * Get retained state as { [key]: data }
+   */
+  getSnapshot() {
+    const snapshot = {};
+    this.retained.forEach((message, key) => {
+      snapshot[key] = message.data;
+    });
+    return snapshot;
+  }
+
+  /**
+   * Fan out a message to every connected client except the sender
+   */
+  broadcast(message, sender = null) {
+    const payload = JSON.stringify(message);
+
+    this.wss.clients.forEach(client => {
+      if (client !== sender && client.readyState === WebSocket.OPEN) {
+        client.send(payload);
+      }
+    });
+  }
+
+  /**
+   * Emit an event to all widgets and to server-side listeners
+   */
+  emit(type, data) {
+    const message = this.createMessage(type, data);
+
+    this.markSeen(message);
+    this.retain(message);
+    this.broadcast(message);
+    this.dispatch(message);
+  }
+
+  /**
+   * Number of connected clients
+   */
+  getClientCount() {
+    return this.wss.clients.size;
+  }
+}
+
+export default ServerEventBus;
@@ -0,0 +1,184 @@
+/**
+ * Theme Loader - Genre themes from themes/*.json
+ * Each file is validated against themes/theme.schema.json (and its light
+ * program against the effects library). Invalid files are skipped with an
+ * error, the rest load. The directory is watched and reloaded on change.
+ */
+
+import { readFileSync, readdirSync, watch } from 'fs';
+import { join, basename } from 'path';
+import { validateProgram } from './lights/effects.js';
+
+const SCHEMA_FILE = 'theme.schema.json';
+const RELOAD_DELAY = 200; // Editors write files in several steps
+
+/**
+ * Validate a value against the JSON Schema subset the theme schema uses
+ * (type, required, properties, additionalProperties, items, pattern, minLength,
+ * minimum, maximum)
+ * @returns {string[]} Errors, empty if valid
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const where = path || 'theme';
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    return [`${where} must be ${types.join(' or ')}`];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${where} must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${where} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${where}[${index}]`));
+    });
+  }
+
+  if (matchesType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      const propertySchema = schema.properties?.[key];
+
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  return typeof value === type;
+}
+
+export class ThemeLoader {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Themes directory
+   * @param {function} options.onChange - (themes) after a reload
+   */
+  constructor({ dir, onChange = null }) {
+    this.dir = dir;
+    this.onChange = onChange;
+    this.schema = null;
+    this.themes = [];
+    this.errors = [];
+    this.watcher = null;
+    this.reloadTimerId = null;
+  }
+
+  /**
+   * Read and validate every theme file
+   * @returns {object[]} Valid themes: file contents plus `key` (file name)
+   */
+  load() {
+    const themes = [];
+    const errors = [];
+
+    try {
+      this.schema = JSON.parse(readFileSync(join(this.dir, SCHEMA_FILE), 'utf8'));
+    } catch (error) {
+      console.error(`[ThemeLoader] Cannot read ${SCHEMA_FILE}:`, error.message);
+      return this.themes;
+    }
+
+    let files = [];
+    try {
+      files = readdirSync(this.dir).filter(file => file.endsWith('.json') && file !== SCHEMA_FILE);
+    } catch (error) {
+      console.error(`[ThemeLoader] Cannot read ${this.dir}:`, error.message);
+    }
+
+    files.sort().forEach(file => {
+      const key = basename(file, '.json');
+
+      try {
+        if (!/^[a-z0-9-]+$/.test(key)) {
+          throw new Error('file name must be lowercase letters, digits and dashes (it becomes a CSS class)');
+        }
+
+        const theme = JSON.parse(readFileSync(join(this.dir, file), 'utf8'));
+        const problems = validateSchema(theme, this.schema);
+
+        if (typeof theme.lightProgram === 'object' && theme.lightProgram !== null) {
+          const programError = validateProgram(theme.lightProgram);
+          if (programError) problems.push(`lightProgram: ${programError}`);
+        }
+
+        if (problems.length) {
+          throw new Error(problems.join(', '));
+        }
+
+        const { $schema, ...definition } = theme;
+        themes.push({ key, ...definition });
+      } catch (error) {
+        console.error(`[ThemeLoader] Skipping ${file}: ${error.message}`);
+        errors.push({ file, error: error.message });
+      }
+    });
+
+    this.themes = themes;
+    this.errors = errors;
+
+    console.log(`[ThemeLoader] Loaded ${themes.length} themes from ${this.dir}${errors.length ? ` (${errors.length} invalid)` : ''}`);
+
+    return themes;
+  }
+
+  /**
+   * Reload when files in the directory change
+   */
+  watch() {
+    try {
+      this.watcher = watch(this.dir, () => {
+        if (this.reloadTimerId) clearTimeout(this.reloadTimerId);
+
+        this.reloadTimerId = setTimeout(() => {
+          this.reloadTimerId = null;
+          this.load();
+          this.onChange?.(this.themes);
+        }, RELOAD_DELAY);
+      });
+    } catch (error) {
+      console.error(`[ThemeLoader] Cannot watch ${this.dir}:`, error.message);
+    }
+  }
+
+  stop() {
+    if (this.reloadTimerId) {
+      clearTimeout(this.reloadTimerId);
+      this.reloadTimerId = null;
+    }
+
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+export default ThemeLoader;
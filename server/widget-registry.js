@@ -0,0 +1,144 @@
+/**
+ * Widget Registry - Presence tracking for widget browser sources
+ * Tracks every widget from its WIDGET_READY / WIDGET_HEARTBEAT events and
+ * flags widgets whose heartbeats stopped or whose socket dropped (e.g. a
+ * crashed browser source). Widgets are removed when they say goodbye
+ * (EventBus.disconnect) or after forgetAfter without a heartbeat.
+ */
+
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+export class WidgetRegistry {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {number} options.staleAfter - ms without heartbeat before a widget is stale
+   * @param {number} options.forgetAfter - ms without heartbeat before a widget is removed
+   */
+  constructor(eventBus, { staleAfter = 15000, forgetAfter = 10 * 60 * 1000 } = {}) {
+    this.eventBus = eventBus;
+    this.staleAfter = staleAfter;
+    this.forgetAfter = forgetAfter;
+    this.widgets = new Map(); // instance -> entry
+    this.checkTimerId = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start listening for widget presence events
+   */
+  start() {
+    this.unsubscribers.push(
+      this.eventBus.on([EventTypes.WIDGET_READY, EventTypes.WIDGET_HEARTBEAT], (data, type) => {
+        this.handlePresence(data, type);
+      }),
+      this.eventBus.on(EventTypes.WIDGET_DISCONNECTED, (data) => {
+        this.handleDisconnect(data);
+      })
+    );
+
+    this.checkTimerId = setInterval(() => this.checkStale(), 5000);
+  }
+
+  handlePresence(data, type) {
+    if (!data?.widget) return;
+
+    const instance = data.instance || data.widget;
+    const now = Date.now();
+    const existing = this.widgets.get(instance);
+
+    const entry = {
+      widget: data.widget,
+      instance,
+      firstSeen: existing?.firstSeen || now,
+      lastSeen: now,
+      error: type === EventTypes.WIDGET_HEARTBEAT ? data.error || null : existing?.error || null,
+      stale: false,
+      connected: true,
+    };
+
+    this.widgets.set(instance, entry);
+
+    // Only broadcast changes, not every heartbeat
+    if (!existing || existing.stale || existing.error !== entry.error) {
+      if (entry.error) {
+        console.warn(`[WidgetRegistry] ${entry.widget} (${instance}) error: ${entry.error}`);
+      }
+      this.broadcast();
+    }
+  }
+
+  /**
+   * Goodbye removes the widget; a dropped socket only marks it stale
+   */
+  handleDisconnect(data) {
+    const entry = this.widgets.get(data?.instance);
+    if (!entry) return;
+
+    if (data.goodbye) {
+      this.widgets.delete(data.instance);
+      console.log(`[WidgetRegistry] ${entry.widget} (${data.instance}) said goodbye`);
+    } else if (entry.connected) {
+      entry.connected = false;
+      entry.stale = true;
+      console.warn(`[WidgetRegistry] ${entry.widget} (${data.instance}) lost its connection`);
+    } else {
+      return;
+    }
+
+    this.broadcast();
+  }
+
+  /**
+   * Flag widgets without recent heartbeats, forget long-gone ones
+   */
+  checkStale() {
+    const now = Date.now();
+    let changed = false;
+
+    this.widgets.forEach((entry, instance) => {
+      const silentFor = now - entry.lastSeen;
+
+      if (silentFor > this.forgetAfter) {
+        this.widgets.delete(instance);
+        changed = true;
+      } else if (silentFor > this.staleAfter && !entry.stale) {
+        entry.stale = true;
+        changed = true;
+        console.warn(`[WidgetRegistry] ${entry.widget} (${instance}) is stale, last seen ${Math.round(silentFor / 1000)}s ago`);
+      }
+    });
+
+    if (changed) {
+      this.broadcast();
+    }
+  }
+
+  broadcast() {
+    this.eventBus.emit(EventTypes.WIDGET_REGISTRY_UPDATE, {
+      widgets: this.list(),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Get all known widgets, sorted by name
+   */
+  list() {
+    return Array.from(this.widgets.values())
+      .map(entry => ({ ...entry }))
+      .sort((a, b) => a.widget.localeCompare(b.widget));
+  }
+
+  stop() {
+    if (this.checkTimerId) {
+      clearInterval(this.checkTimerId);
+      this.checkTimerId = null;
+    }
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
+
+export default WidgetRegistry;
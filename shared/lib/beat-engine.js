@@ -1,8 +1,19 @@
 /**
  * Beat Engine
  * Synchronizes animations and effects to music BPM
+ * With Spotify audio analysis, ticks land on the track's real beat and bar
+ * timestamps (anchored to playback progress); without it, ticks follow a
+ * fixed BPM grid. Both are scheduled against the wall clock, so they don't drift.
+ * Analysis sections are announced (section change, build-up, drop) on the beat
+ * closest to where they start.
  */
 
+import { EventTypes } from './event-bus.js';
+import { classifySections } from './section-detector.js';
+
+// Fire a beat that is at most this late rather than skipping it
+const LATE_BEAT_TOLERANCE = 20; // ms
+
 export class BeatEngine {
   constructor(eventBus) {
     this.eventBus = eventBus;
@@ -12,14 +23,36 @@ export class BeatEngine {
     this.beatCount = 0;
     this.audioFeatures = null;
     this.isRunning = false;
+    this.beatsPerBar = 4;
+
+    // Free-running grid: wall time of beat 0
+    this.gridStart = null;
+    this.gridBeat = 0;
+    this.gridPhase = null; // Wall time of a known beat (live tempo detection, tapping)
+    this.confidence = null;
+    this.lastTickAt = null;
+
+    // Audio analysis grid, anchored to playback position
+    this.beatGrid = null;
+    this.anchor = null; // { positionMs, timestamp }
+    this.nextBeatIndex = 0;
+
+    // Analysis sections
+    this.sections = [];
+    this.currentSectionIndex = null;
   }
 
   /**
    * Set BPM and start beat timing
+   * Clears any audio analysis (it belongs to the previous track)
    * @param {number} bpm - Beats per minute
    * @param {object} audioFeatures - Spotify audio features (energy, valence, danceability)
+   * @param {object} options
+   * @param {number} options.phase - Wall time of a known beat: align the grid to it
+   *   (a running grid is re-aligned in place, without restarting the bar count)
+   * @param {number} options.confidence - Tempo confidence (0-1), passed on with each tick
    */
-  setBPM(bpm, audioFeatures = {}) {
+  setBPM(bpm, audioFeatures = {}, { phase = null, confidence = null } = {}) {
     // Validate BPM
     if (!bpm || bpm <= 0 || bpm > 300) {
       console.warn('[BeatEngine] Invalid BPM, using default 120');
@@ -29,14 +62,121 @@ export class BeatEngine {
     this.bpm = bpm;
     this.audioFeatures = audioFeatures;
     this.beatInterval = 60000 / bpm; // Convert BPM to milliseconds per beat
+    this.beatGrid = null;
+    this.beatsPerBar = 4;
+    this.sections = [];
+    this.currentSectionIndex = null;
+    this.gridPhase = phase;
+    this.confidence = confidence;
+
+    console.log(`[BeatEngine] Set BPM: ${bpm}, beat interval: ${this.beatInterval}ms${confidence !== null ? `, confidence: ${confidence}` : ''}`);
 
-    console.log(`[BeatEngine] Set BPM: ${bpm}, beat interval: ${this.beatInterval}ms`);
+    if (this.isRunning && phase !== null) {
+      this.alignGrid(phase);
+      this.reschedule();
+      return;
+    }
 
     // Restart beat timing
     this.stopBeat();
     this.startBeat();
   }
 
+  /**
+   * Use Spotify audio analysis beats and bars for tick timing
+   * Call syncPosition() with the track's progress to anchor it
+   * @param {object} analysis - Spotify audio analysis (beats, bars, sections, track)
+   */
+  setAnalysis(analysis) {
+    if (!analysis?.beats?.length) {
+      console.warn('[BeatEngine] Audio analysis has no beats, keeping BPM grid');
+      return;
+    }
+
+    const bars = analysis.bars || [];
+    const beatsPerBar = analysis.track?.time_signature || 4;
+
+    // Pickup beats before the first bar count up to its downbeat
+    const firstBarMs = bars.length ? bars[0].start * 1000 - LATE_BEAT_TOLERANCE : 0;
+    const pickupBeats = analysis.beats.filter(beat => beat.start * 1000 < firstBarMs).length;
+
+    let barIndex = -1;
+    let barPosition = ((beatsPerBar - pickupBeats) % beatsPerBar + beatsPerBar) % beatsPerBar;
+
+    // Precompute each beat's position in its bar
+    this.beatGrid = analysis.beats.map(beat => {
+      const startMs = beat.start * 1000;
+
+      // Advance to the bar containing this beat (bars start on a beat, allow rounding)
+      while (barIndex + 1 < bars.length && bars[barIndex + 1].start * 1000 <= startMs + LATE_BEAT_TOLERANCE) {
+        barIndex++;
+        barPosition = 0;
+      }
+
+      const entry = {
+        startMs,
+        durationMs: beat.duration * 1000,
+        confidence: beat.confidence,
+        barIndex,
+        barPosition,
+      };
+
+      barPosition++;
+      return entry;
+    });
+
+    // Each beat belongs to the section starting nearest before its midpoint,
+    // so a section is announced on the beat closest to its start
+    this.sections = classifySections(analysis.sections);
+    this.currentSectionIndex = null;
+
+    let sectionIndex = -1;
+    this.beatGrid.forEach((beat, index) => {
+      while (sectionIndex + 1 < this.sections.length &&
+        this.sections[sectionIndex + 1].startMs <= beat.startMs + beat.durationMs / 2) {
+        sectionIndex++;
+        this.sections[sectionIndex].firstBeatIndex = index;
+      }
+      beat.sectionIndex = sectionIndex;
+    });
+
+    if (analysis.track?.tempo) {
+      this.bpm = analysis.track.tempo;
+      this.beatInterval = 60000 / this.bpm;
+    }
+    this.beatsPerBar = beatsPerBar;
+    this.confidence = analysis.track?.tempo_confidence ?? null;
+
+    console.log(`[BeatEngine] Loaded audio analysis: ${this.beatGrid.length} beats, ${bars.length} bars, ${this.sections.length} sections`);
+
+    this.reschedule();
+  }
+
+  /**
+   * Anchor the beat grid to the track's playback position
+   * @param {number} positionMs - Playback progress (e.g. Spotify progress_ms)
+   * @param {number} timestamp - Wall time when positionMs was sampled
+   */
+  syncPosition(positionMs, timestamp = Date.now()) {
+    this.anchor = { positionMs, timestamp };
+    this.reschedule();
+  }
+
+  /**
+   * Current playback position extrapolated from the anchor
+   */
+  getPosition(now = Date.now()) {
+    if (!this.anchor) return null;
+    return this.anchor.positionMs + (now - this.anchor.timestamp);
+  }
+
+  /**
+   * Whether ticks follow the audio analysis (vs. the free BPM grid)
+   */
+  isSynced() {
+    return !!(this.beatGrid && this.anchor);
+  }
+
   /**
    * Start emitting beat events
    */
@@ -54,28 +194,200 @@ export class BeatEngine {
     this.isRunning = true;
     this.beatCount = 0;
 
-    // Emit immediate beat for instant sync
-    this.emitBeat();
+    if (this.isSynced()) {
+      this.nextBeatIndex = this.findNextBeatIndex(this.getPosition());
+      this.currentSectionIndex = null;
+    } else if (this.gridPhase !== null) {
+      this.gridBeat = 0;
+      this.alignGrid(this.gridPhase);
+    } else {
+      // Emit immediate beat for instant sync
+      this.gridStart = Date.now();
+      this.gridBeat = 0;
+      this.emitBeat({ barPosition: 0 });
+      this.gridBeat = 1;
+    }
 
-    // Set interval for continuous beats
-    this.beatTimerId = setInterval(() => {
-      this.emitBeat();
-    }, this.beatInterval);
+    this.scheduleNextBeat();
 
-    console.log('[BeatEngine] Beat timing started');
+    console.log(`[BeatEngine] Beat timing started (${this.isSynced() ? 'audio analysis' : 'BPM grid'})`);
+  }
+
+  /**
+   * Move the free-running grid so its next beat lands on the phase's grid,
+   * keeping the current beat number (and so the bar position)
+   * @param {number} phase - Wall time of a known beat
+   */
+  alignGrid(phase) {
+    const now = Date.now();
+    const beatsAhead = Math.ceil((now - LATE_BEAT_TOLERANCE - phase) / this.beatInterval);
+    let nextBeatTime = phase + beatsAhead * this.beatInterval;
+
+    // Don't tick twice in quick succession when the grid moves back
+    if (this.lastTickAt && nextBeatTime - this.lastTickAt < this.beatInterval / 2) {
+      nextBeatTime += this.beatInterval;
+    }
+
+    this.gridStart = nextBeatTime - this.gridBeat * this.beatInterval;
+  }
+
+  /**
+   * Re-plan the next tick after the grid or anchor changed
+   */
+  reschedule() {
+    if (!this.isRunning) return;
+
+    this.clearTimer();
+
+    if (this.isSynced()) {
+      const index = this.findNextBeatIndex(this.getPosition());
+
+      // Don't fire the beat that just fired again (it is still within the late tolerance)
+      if (index !== this.nextBeatIndex - 1) {
+        this.nextBeatIndex = index;
+        this.currentSectionIndex = null;
+      }
+    }
+
+    this.scheduleNextBeat();
+  }
+
+  /**
+   * Index of the first analysis beat at or after a playback position
+   */
+  findNextBeatIndex(positionMs) {
+    let low = 0;
+    let high = this.beatGrid.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.beatGrid[mid].startMs < positionMs - LATE_BEAT_TOLERANCE) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Schedule the next tick with setTimeout, computed from the wall clock
+   */
+  scheduleNextBeat() {
+    if (this.isSynced()) {
+      const position = this.getPosition();
+
+      // Skip beats missed while the event loop was busy instead of bursting them
+      if (this.beatGrid[this.nextBeatIndex]?.startMs < position - LATE_BEAT_TOLERANCE) {
+        this.nextBeatIndex = this.findNextBeatIndex(position);
+      }
+
+      const beat = this.beatGrid[this.nextBeatIndex];
+
+      // Past the last beat: wait for the next track / sync
+      if (!beat) return;
+
+      const delay = Math.max(0, beat.startMs - position);
+
+      this.beatTimerId = setTimeout(() => {
+        this.beatTimerId = null;
+        this.nextBeatIndex++;
+
+        this.updateSection(beat, this.nextBeatIndex - 1);
+
+        this.emitBeat({
+          barPosition: beat.barPosition,
+          beatInterval: beat.durationMs,
+          positionMs: Math.round(beat.startMs),
+          confidence: beat.confidence,
+        });
+
+        this.scheduleNextBeat();
+      }, delay);
+      return;
+    }
+
+    const now = Date.now();
+
+    // Skip missed beats on the BPM grid as well
+    while (this.gridStart + this.gridBeat * this.beatInterval < now - LATE_BEAT_TOLERANCE) {
+      this.gridBeat++;
+    }
+
+    const nextBeatTime = this.gridStart + this.gridBeat * this.beatInterval;
+    const delay = Math.max(0, nextBeatTime - now);
+
+    this.beatTimerId = setTimeout(() => {
+      this.beatTimerId = null;
+
+      this.emitBeat({ barPosition: this.gridBeat % this.beatsPerBar, confidence: this.confidence });
+      this.gridBeat++;
+
+      this.scheduleNextBeat();
+    }, delay);
+  }
+
+  /**
+   * Announce section changes, build-ups and drops (before the beat they land on)
+   */
+  updateSection(beat, beatIndex) {
+    if (beat.sectionIndex < 0 || beat.sectionIndex === this.currentSectionIndex) return;
+
+    const section = this.sections[beat.sectionIndex];
+    const next = this.sections[beat.sectionIndex + 1];
+    this.currentSectionIndex = beat.sectionIndex;
+
+    // Joined mid-section (seek, late analysis): no build-up/drop cue
+    const atSectionStart = section.firstBeatIndex === beatIndex;
+
+    const data = {
+      index: section.index,
+      kind: section.kind,
+      startMs: Math.round(section.startMs),
+      durationMs: Math.round(section.durationMs),
+      loudness: section.loudness,
+      tempo: section.tempo,
+      intensity: section.intensity,
+      nextKind: next?.kind || null,
+      atSectionStart,
+      timestamp: Date.now(),
+    };
+
+    this.eventBus.emit(EventTypes.SECTION_CHANGE, data);
+
+    if (!atSectionStart) return;
+
+    if (section.kind === 'buildup') {
+      this.eventBus.emit(EventTypes.BUILDUP_START, {
+        ...data,
+        dropInMs: next?.kind === 'drop' ? Math.round(next.startMs - beat.startMs) : null,
+      });
+      console.log(`[BeatEngine] Build-up at ${Math.round(beat.startMs / 1000)}s`);
+    } else if (section.kind === 'drop') {
+      this.eventBus.emit(EventTypes.DROP, data);
+      console.log(`[BeatEngine] Drop at ${Math.round(beat.startMs / 1000)}s`);
+    }
   }
 
   /**
    * Emit a beat event via EventBus
    */
-  emitBeat() {
+  emitBeat({ barPosition, beatInterval = this.beatInterval, positionMs = null, confidence = null }) {
     this.beatCount++;
+    this.lastTickAt = Date.now();
 
     // Emit beat event with metadata
-    this.eventBus.emit('beat:tick', {
+    this.eventBus.emit(EventTypes.BEAT_TICK, {
       beatCount: this.beatCount,
       bpm: this.bpm,
-      beatInterval: this.beatInterval,
+      beatInterval: beatInterval,
+      barPosition: barPosition,
+      beatsPerBar: this.beatsPerBar,
+      downbeat: barPosition === 0,
+      positionMs: positionMs,
+      confidence: confidence,
+      synced: positionMs !== null,
       audioFeatures: this.audioFeatures,
       timestamp: Date.now(),
     });
@@ -86,14 +398,18 @@ export class BeatEngine {
     }
   }
 
+  clearTimer() {
+    if (this.beatTimerId) {
+      clearTimeout(this.beatTimerId);
+      this.beatTimerId = null;
+    }
+  }
+
   /**
    * Stop beat timing
    */
   stopBeat() {
-    if (this.beatTimerId) {
-      clearInterval(this.beatTimerId);
-      this.beatTimerId = null;
-    }
+    this.clearTimer();
 
     this.isRunning = false;
     this.beatCount = 0;
@@ -110,6 +426,10 @@ export class BeatEngine {
       bpm: this.bpm,
       beatInterval: this.beatInterval,
       beatCount: this.beatCount,
+      beatsPerBar: this.beatsPerBar,
+      synced: this.isSynced(),
+      confidence: this.confidence,
+      section: this.sections[this.currentSectionIndex]?.kind || null,
       audioFeatures: this.audioFeatures,
     };
   }
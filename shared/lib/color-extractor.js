@@ -1,8 +1,29 @@
 /**
  * Color Extractor - Extract dominant colors from album art
- * Uses canvas and color quantization for vibrant color extraction
+ * Uses canvas (or raw decoded pixels on the server) and color quantization
+ * for vibrant color extraction
  */
 
+// Fallback palette (default purple) when no vibrant colors are found
+const DEFAULT_COLORS = {
+  dominant: { r: 139, g: 92, b: 246 },
+  palette: [
+    { r: 139, g: 92, b: 246 },
+    { r: 236, g: 72, b: 153 },
+    { r: 6, g: 182, b: 212 },
+  ],
+};
+
+/**
+ * Get a copy of the fallback palette
+ */
+export function getDefaultColors() {
+  return {
+    dominant: { ...DEFAULT_COLORS.dominant },
+    palette: DEFAULT_COLORS.palette.map(color => ({ ...color })),
+  };
+}
+
 /**
  * Extract dominant colors from an image URL
  * @param {string} imageUrl - URL of the image to analyze
@@ -28,82 +49,75 @@ export async function extractColors(imageUrl, colorCount = 5) {
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
-
-        // Collect vibrant pixels (skip very dark/light)
-        const colors = [];
 
-        for (let i = 0; i < pixels.length; i += 4) {
-          const r = pixels[i];
-          const g = pixels[i + 1];
-          const b = pixels[i + 2];
-          const a = pixels[i + 3];
-
-          // Skip transparent pixels
-          if (a < 128) continue;
-
-          // Calculate brightness
-          const brightness = (r + g + b) / 3;
-
-          // Calculate saturation
-          const max = Math.max(r, g, b);
-          const min = Math.min(r, g, b);
-          const saturation = max === 0 ? 0 : (max - min) / max;
-
-          // Only include vibrant colors (not too dark, not too light, decent saturation)
-          if (brightness > 30 && brightness < 225 && saturation > 0.2) {
-            colors.push({ r, g, b });
-          }
-        }
-
-        if (colors.length === 0) {
-          // Fallback to default purple
-          resolve({
-            dominant: { r: 139, g: 92, b: 246 },
-            palette: [
-              { r: 139, g: 92, b: 246 },
-              { r: 236, g: 72, b: 153 },
-              { r: 6, g: 182, b: 212 },
-            ],
-          });
-          return;
-        }
-
-        // Simple k-means clustering to find dominant colors
-        const palette = kMeansClustering(colors, Math.min(colorCount, colors.length));
-
-        // Sort by vibrancy (saturation * brightness)
-        palette.sort((a, b) => {
-          const vibrancyA = calculateVibrancy(a);
-          const vibrancyB = calculateVibrancy(b);
-          return vibrancyB - vibrancyA;
-        });
-
-        resolve({
-          dominant: palette[0],
-          palette: palette,
-        });
+        resolve(extractColorsFromPixels(imageData.data, colorCount));
       } catch (error) {
         reject(error);
       }
     };
 
     img.onerror = () => {
-      // Fallback to default purple
-      resolve({
-        dominant: { r: 139, g: 92, b: 246 },
-        palette: [
-          { r: 139, g: 92, b: 246 },
-          { r: 236, g: 72, b: 153 },
-          { r: 6, g: 182, b: 212 },
-        ],
-      });
+      resolve(getDefaultColors());
     };
 
     img.src = imageUrl;
   });
 }
 
+/**
+ * Extract dominant colors from raw RGBA pixel data
+ * Shared by the canvas path above and the Node decoder on the server
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA bytes
+ * @param {number} colorCount - Number of colors to extract (default: 5)
+ * @returns {Object} Dominant color and palette
+ */
+export function extractColorsFromPixels(pixels, colorCount = 5) {
+  // Collect vibrant pixels (skip very dark/light)
+  const colors = [];
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const a = pixels[i + 3];
+
+    // Skip transparent pixels
+    if (a < 128) continue;
+
+    // Calculate brightness
+    const brightness = (r + g + b) / 3;
+
+    // Calculate saturation
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const saturation = max === 0 ? 0 : (max - min) / max;
+
+    // Only include vibrant colors (not too dark, not too light, decent saturation)
+    if (brightness > 30 && brightness < 225 && saturation > 0.2) {
+      colors.push({ r, g, b });
+    }
+  }
+
+  if (colors.length === 0) {
+    return getDefaultColors();
+  }
+
+  // Simple k-means clustering to find dominant colors
+  const palette = kMeansClustering(colors, Math.min(colorCount, colors.length));
+
+  // Sort by vibrancy (saturation * brightness)
+  palette.sort((a, b) => {
+    const vibrancyA = calculateVibrancy(a);
+    const vibrancyB = calculateVibrancy(b);
+    return vibrancyB - vibrancyA;
+  });
+
+  return {
+    dominant: palette[0],
+    palette: palette,
+  };
+}
+
 /**
  * Simple k-means clustering for color quantization
  */
@@ -280,4 +294,72 @@ function hslToRgb(h, s, l) {
   };
 }
 
-export default { extractColors, rgbToString, rgbToHsl, getComplementary };
+/**
+ * Convert RGB to OKLCH (perceptual lightness, chroma, hue in degrees)
+ */
+export function rgbToOklch({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(value => {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  return {
+    l: L,
+    c: Math.sqrt(A * A + B * B),
+    h: ((Math.atan2(B, A) * 180) / Math.PI + 360) % 360,
+  };
+}
+
+/**
+ * Convert OKLCH to RGB (clipped to the sRGB gamut)
+ */
+export function oklchToRgb({ l: L, c, h }) {
+  const A = c * Math.cos((h * Math.PI) / 180);
+  const B = c * Math.sin((h * Math.PI) / 180);
+
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+
+  const [r, g, b] = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ].map(value => {
+    const c = value <= 0.0031308 ? 12.92 * value : 1.055 * value ** (1 / 2.4) - 0.055;
+    return Math.round(Math.min(1, Math.max(0, c)) * 255);
+  });
+
+  return { r, g, b };
+}
+
+/**
+ * Blend two RGB colors in OKLCH (hue takes the short way round)
+ * @param {number} t - 0 = from, 1 = to
+ */
+export function mixOklch(from, to, t) {
+  const a = rgbToOklch(from);
+  const b = rgbToOklch(to);
+
+  // Grays have no meaningful hue: keep the other color's
+  if (a.c < 0.02) a.h = b.h;
+  if (b.c < 0.02) b.h = a.h;
+
+  const hueDelta = ((b.h - a.h + 540) % 360) - 180;
+
+  return oklchToRgb({
+    l: a.l + (b.l - a.l) * t,
+    c: a.c + (b.c - a.c) * t,
+    h: (a.h + hueDelta * t + 360) % 360,
+  });
+}
+
+export default { extractColors, extractColorsFromPixels, getDefaultColors, rgbToString, rgbToHsl, getComplementary, rgbToOklch, oklchToRgb, mixOklch };
@@ -1,6 +1,8 @@
 /**
  * Event Bus - Cross-widget communication via BroadcastChannel API
  * Enables real-time state synchronization across all OBS browser sources
+ * Optionally relays events through the server WebSocket so widgets on other
+ * machines (e.g. a second streaming PC) share the same bus
  */
 
 export const EventTypes = {
@@ -9,14 +11,17 @@ export const EventTypes = {
   SPOTIFY_PLAYBACK_STATE: 'spotify:playback',
   SPOTIFY_ERROR: 'spotify:error',
 
-  // Home Assistant events
+  // Home Assistant events (watch: widgets ask the hub to relay more entities)
   HA_STATE_CHANGE: 'ha:state',
   HA_LIGHT_UPDATE: 'ha:light',
   HA_SCENE_CHANGE: 'ha:scene',
   HA_CONNECTION_STATUS: 'ha:connection',
+  HA_WATCH: 'ha:watch',
 
-  // Theme events
+  // Theme events (lock: force genre/bpm/colors, null fields = auto; unlock: all auto)
   THEME_UPDATE: 'theme:update',
+  THEME_LOCK: 'theme:lock',
+  THEME_UNLOCK: 'theme:unlock',
 
   // Audio events
   AUDIO_LEVEL_UPDATE: 'audio:level',
@@ -25,21 +30,96 @@ export const EventTypes = {
   // Beat events
   BEAT_TICK: 'beat:tick',
 
+  // Tempo events (live detection, tap tempo and manual overrides)
+  TEMPO_UPDATE: 'tempo:update',
+  TEMPO_TAP: 'tempo:tap',
+  TEMPO_OVERRIDE: 'tempo:override',
+
+  // Light events (switch the light program live, null = genre default; beat pulsing on/off)
+  LIGHT_PROGRAM: 'lights:program',
+  LIGHT_PULSE: 'lights:pulse',
+
+  // Track structure events (from Spotify audio analysis)
+  SECTION_CHANGE: 'section:change',
+  BUILDUP_START: 'section:buildup',
+  DROP: 'section:drop',
+
+  // Alert events (HA events and automations -> alert widget banners)
+  ALERT: 'alert:show',
+
   // Status events
   STATUS_MESSAGE_UPDATE: 'status:message',
 
   // System events
   HUB_READY: 'system:hub_ready',
+  HUB_STATUS: 'system:hub_status',
   WIDGET_READY: 'system:widget_ready',
+  WIDGET_HEARTBEAT: 'system:widget_heartbeat',
+  WIDGET_DISCONNECTED: 'system:widget_disconnected',
+  WIDGET_REGISTRY_UPDATE: 'system:widget_registry',
+};
+
+/**
+ * State events whose latest value is retained by the server and replayed to
+ * widgets that join late (on WIDGET_READY). The value names a data field to
+ * retain one value per key (e.g. per light), or null for one value per type.
+ */
+export const RetainedEventTypes = {
+  [EventTypes.SPOTIFY_TRACK_UPDATE]: null,
+  [EventTypes.SPOTIFY_PLAYBACK_STATE]: null,
+  [EventTypes.THEME_UPDATE]: null,
+  [EventTypes.TEMPO_UPDATE]: null,
+  [EventTypes.HA_LIGHT_UPDATE]: 'entity_id',
+  [EventTypes.HA_STATE_CHANGE]: 'entity_id',
+  [EventTypes.HA_CONNECTION_STATUS]: null,
+  [EventTypes.HA_SCENE_CHANGE]: null,
 };
 
+/**
+ * Default relay URL: the WebSocket server of the page's own origin
+ */
+function getDefaultRelayUrl() {
+  if (typeof window === 'undefined' || !window.location?.host) {
+    return null;
+  }
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}`;
+}
+
 export class EventBus {
-  constructor(channelName = 'obs-overlay') {
+  /**
+   * @param {string} channelName - BroadcastChannel name
+   * @param {object} options
+   * @param {string|null} options.relayUrl - WebSocket relay URL (null disables the relay)
+   */
+  constructor(channelName = 'obs-overlay', options = {}) {
     this.channelName = channelName;
     this.channel = null;
     this.listeners = new Map();
     this.messageHistory = new Map(); // For deduplication
-    this.deduplicationWindow = 100; // ms
+    this.deduplicationWindow = 5000; // ms (relayed copies arrive after the local one)
+
+    // Unique ID for this bus instance, used to build message IDs
+    this.sourceId = Math.random().toString(36).slice(2, 10);
+    this.sequence = 0;
+
+    // WebSocket relay
+    this.relayUrl = options.relayUrl !== undefined ? options.relayUrl : getDefaultRelayUrl();
+    this.relay = null;
+    this.relayConnected = false;
+    this.relayQueue = []; // Messages emitted before the relay opened
+    this.maxQueuedMessages = 50;
+    this.reconnectDelay = 1000; // Start at 1 second
+    this.maxReconnectDelay = 30000; // Max 30 seconds
+    this.reconnectTimerId = null;
+
+    // Widget presence (see registerWidget)
+    this.widgetName = null;
+    this.widgetError = null;
+    this.heartbeatInterval = 5000; // ms
+    this.heartbeatTimerId = null;
+    this.removeErrorHandlers = null;
 
     this.connect();
   }
@@ -60,17 +140,101 @@ export class EventBus {
     } catch (error) {
       console.error('[EventBus] Failed to create BroadcastChannel:', error);
     }
+
+    if (this.relayUrl) {
+      this.connectRelay();
+    }
+  }
+
+  /**
+   * Connect to the server WebSocket relay
+   */
+  connectRelay() {
+    try {
+      this.relay = new WebSocket(this.relayUrl);
+
+      this.relay.onopen = () => {
+        console.log(`[EventBus] Relay connected: ${this.relayUrl}`);
+        this.relayConnected = true;
+        this.reconnectDelay = 1000;
+
+        // Flush messages emitted while connecting
+        const queued = this.relayQueue;
+        this.relayQueue = [];
+        queued.forEach(message => this.sendToRelay(message));
+      };
+
+      this.relay.onmessage = (event) => {
+        try {
+          this.handleMessage(JSON.parse(event.data));
+        } catch (error) {
+          console.error('[EventBus] Invalid relay message:', error);
+        }
+      };
+
+      this.relay.onclose = () => {
+        this.relayConnected = false;
+
+        // Closed on purpose via disconnect()
+        if (!this.relay) return;
+
+        console.warn(`[EventBus] Relay closed, reconnecting in ${this.reconnectDelay}ms`);
+        this.reconnectTimerId = setTimeout(() => {
+          this.reconnectTimerId = null;
+          this.connectRelay();
+        }, this.reconnectDelay);
+
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+      };
+
+      this.relay.onerror = () => {
+        // onclose follows and handles reconnection
+      };
+    } catch (error) {
+      console.error('[EventBus] Failed to connect relay:', error);
+    }
+  }
+
+  /**
+   * Send a message through the relay, queueing it until the socket opens
+   */
+  sendToRelay(message) {
+    if (this.relayConnected) {
+      try {
+        this.relay.send(JSON.stringify(message));
+      } catch (error) {
+        console.error('[EventBus] Failed to relay event:', error);
+      }
+      return;
+    }
+
+    this.relayQueue.push(message);
+    if (this.relayQueue.length > this.maxQueuedMessages) {
+      this.relayQueue.shift();
+    }
   }
 
   handleMessage(message) {
     if (!message || !message.type) return;
 
-    // Message deduplication
-    const messageKey = `${message.type}-${message.timestamp}`;
-    if (this.messageHistory.has(messageKey)) {
+    // Message deduplication (the same message can arrive via BroadcastChannel and relay)
+    if (!this.markSeen(message)) {
       return; // Skip duplicate
     }
 
+    this.dispatch(message);
+  }
+
+  /**
+   * Record a message as seen
+   * @returns {boolean} false if the message was already seen
+   */
+  markSeen(message) {
+    const messageKey = message.id || `${message.type}-${message.timestamp}`;
+    if (this.messageHistory.has(messageKey)) {
+      return false;
+    }
+
     this.messageHistory.set(messageKey, true);
 
     // Clean up old messages
@@ -78,7 +242,13 @@ export class EventBus {
       this.messageHistory.delete(messageKey);
     }, this.deduplicationWindow);
 
-    // Dispatch to listeners
+    return true;
+  }
+
+  /**
+   * Dispatch a message to local listeners
+   */
+  dispatch(message) {
     const listeners = this.listeners.get(message.type);
     if (listeners) {
       listeners.forEach(callback => {
@@ -103,6 +273,18 @@ export class EventBus {
     }
   }
 
+  /**
+   * Build a message envelope with a unique ID
+   */
+  createMessage(type, data) {
+    return {
+      id: `${this.sourceId}-${++this.sequence}`,
+      type,
+      data,
+      timestamp: Date.now(),
+    };
+  }
+
   /**
    * Listen to events
    * @param {string|string[]} eventTypes - Event type(s) to listen to, or '*' for all
@@ -141,21 +323,86 @@ export class EventBus {
    * @param {*} data - Data to send with the event
    */
   emit(type, data) {
-    if (!this.channel) {
+    if (!this.channel && !this.relayUrl) {
       console.error('[EventBus] Channel not connected');
       return;
     }
 
-    const message = {
-      type,
-      data,
+    const message = this.createMessage(type, data);
+
+    // Mark as seen so a relayed copy is not dispatched back to us
+    this.markSeen(message);
+
+    if (this.channel) {
+      try {
+        this.channel.postMessage(message);
+      } catch (error) {
+        console.error('[EventBus] Failed to emit event:', error);
+      }
+    }
+
+    if (this.relayUrl) {
+      this.sendToRelay(message);
+    }
+  }
+
+  /**
+   * Announce this page as a widget and send periodic heartbeats to the hub
+   * @param {string} widget - Widget name (e.g. 'now-playing')
+   */
+  registerWidget(widget) {
+    this.widgetName = widget;
+
+    this.emit(EventTypes.WIDGET_READY, {
+      widget,
+      instance: this.sourceId,
       timestamp: Date.now(),
-    };
+    });
 
-    try {
-      this.channel.postMessage(message);
-    } catch (error) {
-      console.error('[EventBus] Failed to emit event:', error);
+    // Uncaught errors put the widget into an error state
+    if (typeof window !== 'undefined' && !this.removeErrorHandlers) {
+      const onError = (event) => this.reportError(event.error || event.message);
+      const onRejection = (event) => this.reportError(event.reason);
+
+      window.addEventListener('error', onError);
+      window.addEventListener('unhandledrejection', onRejection);
+
+      this.removeErrorHandlers = () => {
+        window.removeEventListener('error', onError);
+        window.removeEventListener('unhandledrejection', onRejection);
+      };
+    }
+
+    if (this.heartbeatTimerId) {
+      clearInterval(this.heartbeatTimerId);
+    }
+    this.heartbeatTimerId = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+  }
+
+  /**
+   * Send a widget heartbeat
+   */
+  sendHeartbeat() {
+    this.emit(EventTypes.WIDGET_HEARTBEAT, {
+      widget: this.widgetName,
+      instance: this.sourceId,
+      error: this.widgetError,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Report (or clear, with null) the widget's error state
+   * Sent with the next heartbeat, or immediately when it changes
+   */
+  reportError(error) {
+    const message = error ? (error.message || String(error)) : null;
+    if (message === this.widgetError) return;
+
+    this.widgetError = message;
+
+    if (this.widgetName) {
+      this.sendHeartbeat();
     }
   }
 
@@ -163,10 +410,40 @@ export class EventBus {
    * Disconnect from the event bus
    */
   disconnect() {
+    // Tell the hub this widget is gone on purpose (not a crash)
+    if (this.widgetName) {
+      this.emit(EventTypes.WIDGET_DISCONNECTED, {
+        widget: this.widgetName,
+        instance: this.sourceId,
+        goodbye: true,
+        timestamp: Date.now(),
+      });
+      this.widgetName = null;
+    }
+
     if (this.channel) {
       this.channel.close();
       this.channel = null;
     }
+    if (this.reconnectTimerId) {
+      clearTimeout(this.reconnectTimerId);
+      this.reconnectTimerId = null;
+    }
+    if (this.relay) {
+      const relay = this.relay;
+      this.relay = null;
+      relay.close();
+    }
+    this.relayConnected = false;
+    this.relayQueue = [];
+    if (this.heartbeatTimerId) {
+      clearInterval(this.heartbeatTimerId);
+      this.heartbeatTimerId = null;
+    }
+    if (this.removeErrorHandlers) {
+      this.removeErrorHandlers();
+      this.removeErrorHandlers = null;
+    }
     this.listeners.clear();
     this.messageHistory.clear();
     console.log('[EventBus] Disconnected');
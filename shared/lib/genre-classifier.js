@@ -0,0 +1,157 @@
+/**
+ * Genre Classifier - Ranks genre themes for a track
+ *
+ * Every Spotify genre of every track artist votes for the themes whose aliases
+ * it matches (exact > whole words > part of a word), the primary artist counting
+ * double. Each theme's tempo and energy ranges then adjust the score, so an
+ * artist tagged both "uplifting trance" and "hardstyle" goes hardstyle at 150 BPM
+ * and trance at 138. Tempo and energy only rerank themes that some genre matched.
+ *
+ * Examples (with the default themes):
+ *   ['deep house']                            -> house
+ *   ['hardcore techno'] at 190 BPM, 0.95      -> hardcore
+ *   ['hardcore techno'] at 135 BPM, 0.7       -> techno
+ *   ['uplifting trance', 'hardstyle'] at 150  -> hardstyle
+ *   ['eurotrance', 'edm']                     -> trance
+ *   ['indie pop']                             -> [] (default theme)
+ */
+
+const MATCH_EXACT = 1;
+const MATCH_PART = 0.4; // Alias inside a word: "eurotrance" -> trance
+const SECONDARY_ARTIST_WEIGHT = 0.5;
+const FEATURE_WEIGHT = 0.4; // Max tempo + energy contribution (genres give up to 1)
+const BPM_FALLOFF = 15; // BPM outside a range before the fit reaches 0
+const ENERGY_FALLOFF = 0.2;
+
+export class GenreClassifier {
+  constructor() {
+    // { key, aliases: [{ alias, words }], bpm, energy }
+    this.themes = [];
+  }
+
+  /**
+   * Replace the themes to classify into
+   * @param {object[]} themes - { key, aliases, bpm: { min, max }, energy: { min, max } }
+   */
+  setThemes(themes) {
+    this.themes = themes.map(theme => ({
+      key: theme.key,
+      aliases: [theme.key, ...(theme.aliases || [])].map(alias => {
+        const normalized = normalize(alias);
+        return { alias: normalized, words: normalized.split(' ') };
+      }),
+      bpm: theme.bpm || null,
+      energy: theme.energy || null,
+    }));
+  }
+
+  /**
+   * Rank themes for a track
+   * @param {object} track
+   * @param {string[][]} track.artistGenres - Genres per artist, primary artist first
+   * @param {number} track.bpm - Tempo (optional)
+   * @param {number} track.energy - Spotify energy, 0-1 (optional)
+   * @returns {object[]} [{ key, score, confidence }] best first, empty if no genre matched
+   */
+  classify({ artistGenres = [], bpm = null, energy = null }) {
+    const genreScores = {};
+    let totalWeight = 0;
+
+    artistGenres.forEach((genres, index) => {
+      if (!genres?.length) return;
+
+      const weight = index === 0 ? 1 : SECONDARY_ARTIST_WEIGHT;
+      totalWeight += weight;
+
+      // Each artist's votes add up to at most its weight, however many genres it has
+      genres.forEach(genre => {
+        Object.entries(this.matchGenre(genre)).forEach(([key, match]) => {
+          genreScores[key] = (genreScores[key] || 0) + weight * match / genres.length;
+        });
+      });
+    });
+
+    const ranking = this.themes
+      .filter(theme => genreScores[theme.key] > 0)
+      .map(theme => ({
+        key: theme.key,
+        score: genreScores[theme.key] / totalWeight + FEATURE_WEIGHT * featureFit(theme, bpm, energy),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const total = ranking.reduce((sum, entry) => sum + entry.score, 0);
+
+    return ranking.map(entry => ({
+      key: entry.key,
+      score: round(entry.score),
+      confidence: round(entry.score / total),
+    }));
+  }
+
+  /**
+   * How well one Spotify genre matches each theme (best alias per theme)
+   * An exact alias match only votes for that theme
+   * @returns {object} { themeKey: 0-1 }
+   */
+  matchGenre(genre) {
+    const normalized = normalize(genre);
+    const words = normalized.split(' ');
+    const matches = {};
+
+    for (const theme of this.themes) {
+      let best = 0;
+
+      for (const { alias, words: aliasWords } of theme.aliases) {
+        if (alias === normalized) {
+          return { [theme.key]: MATCH_EXACT };
+        }
+
+        if (containsWords(words, aliasWords)) {
+          // "deep house" -> house: 0.75, "dark minimal techno" -> minimal techno: 0.83
+          best = Math.max(best, 0.5 + 0.5 * aliasWords.length / words.length);
+        } else if (normalized.includes(alias)) {
+          best = Math.max(best, MATCH_PART);
+        }
+      }
+
+      if (best > 0) matches[theme.key] = best;
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * How well the tempo and energy fit a theme's ranges (0-1, 0.5 when unknown)
+ */
+function featureFit(theme, bpm, energy) {
+  const fits = [];
+
+  if (bpm && theme.bpm) fits.push(rangeFit(bpm, theme.bpm, BPM_FALLOFF));
+  if (energy != null && theme.energy) fits.push(rangeFit(energy, theme.energy, ENERGY_FALLOFF));
+
+  if (!fits.length) return bpm || energy != null ? 0.5 : 0;
+  return fits.reduce((sum, fit) => sum + fit, 0) / fits.length;
+}
+
+function rangeFit(value, { min = -Infinity, max = Infinity }, falloff) {
+  const distance = value < min ? min - value : value > max ? value - max : 0;
+  return Math.max(0, 1 - distance / falloff);
+}
+
+function containsWords(words, aliasWords) {
+  for (let start = 0; start + aliasWords.length <= words.length; start++) {
+    if (aliasWords.every((word, offset) => words[start + offset] === word)) return true;
+  }
+  return false;
+}
+
+function normalize(genre) {
+  return genre.toLowerCase().replace(/&/g, ' and ').replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default GenreClassifier;
@@ -0,0 +1,275 @@
+/**
+ * Light Scheduler - Beat-synced light commands within device rate limits
+ * Each light has a token bucket (Yeelights accept about 60 commands/minute,
+ * unlimited in music mode).
+ * Beat pulses are thinned to every beat, every 2 beats, every bar or every
+ * phrase so they fit the budget (pulseStride), and each pulse should be a
+ * single command that fades (HA `transition`) to its level.
+ * Commands for a light that is still busy are merged (latest wins); a newer
+ * color or brightness replaces every way of setting it, since HA rejects
+ * e.g. rgb_color together with color_temp.
+ */
+
+// Pulse rates, from every beat down to every phrase (4 bars)
+const PULSE_LEVELS = [
+  { name: 'beat', beats: () => 1 },
+  { name: '2 beats', beats: () => 2 },
+  { name: 'bar', beats: beatsPerBar => beatsPerBar },
+  { name: 'phrase', beats: beatsPerBar => beatsPerBar * 4 },
+];
+
+// Longest fade per pulse (HA transitions are in seconds, Yeelights cap smoothness)
+const MAX_TRANSITION = 2000; // ms
+
+// light.turn_on fields that set the same thing in different ways
+const EXCLUSIVE_FIELDS = [
+  ['rgb_color', 'rgbw_color', 'rgbww_color', 'hs_color', 'xy_color', 'color_temp', 'color_temp_kelvin', 'kelvin', 'color_name', 'white'],
+  ['brightness', 'brightness_pct', 'brightness_step', 'brightness_step_pct'],
+];
+
+export class LightScheduler {
+  /**
+   * @param {object} options
+   * @param {function} options.send - async (entityId, data) => sends a light.turn_on with data
+   * @param {number} options.commandsPerMinute - Command budget per light (default: 60)
+   * @param {number} options.burst - Bucket size: commands that can be sent back to back (default: 3)
+   * @param {number} options.headroom - Share of the budget beat pulses may use (default: 0.75)
+   */
+  constructor({ send, commandsPerMinute = 60, burst = 3, headroom = 0.75 }) {
+    this.send = send;
+    this.refillRate = commandsPerMinute / 60000; // Tokens per ms
+    this.burst = burst;
+    this.headroom = headroom;
+
+    this.lights = new Map(); // entityId -> { tokens, lastRefill, refillRate, level, busy, next, timerId, bright, metrics }
+    this.barCount = 0;
+  }
+
+  /**
+   * Set the lights to schedule commands for
+   */
+  setLights(entityIds) {
+    entityIds.forEach(entityId => {
+      if (!this.lights.has(entityId)) {
+        this.lights.set(entityId, {
+          tokens: this.burst,
+          lastRefill: Date.now(),
+          refillRate: this.refillRate,
+          level: null,
+          busy: false,
+          next: null,
+          timerId: null,
+          bright: false,
+          metrics: { sent: 0, dropped: 0, merged: 0 },
+        });
+      }
+    });
+
+    this.lights.forEach((light, entityId) => {
+      if (!entityIds.includes(entityId)) this.lights.delete(entityId);
+    });
+  }
+
+  /**
+   * Change one light's budget (e.g. a Yeelight in music mode has no quota)
+   */
+  setBudget(entityId, commandsPerMinute) {
+    const light = this.lights.get(entityId);
+    if (!light) return;
+
+    this.refill(light);
+    light.refillRate = commandsPerMinute / 60000;
+  }
+
+  /**
+   * Fastest pulse rate that fits a light's budget at this tempo
+   */
+  chooseLevel(light, beatInterval, beatsPerBar) {
+    const budget = light.refillRate * this.headroom; // Pulses per ms
+
+    return PULSE_LEVELS.find(level => 1 / (beatInterval * level.beats(beatsPerBar)) <= budget) ||
+      PULSE_LEVELS[PULSE_LEVELS.length - 1];
+  }
+
+  /**
+   * Count bars: call once per BEAT_TICK, before pulseStride()
+   */
+  advance(beatData) {
+    if (beatData.downbeat) {
+      this.barCount++;
+    }
+  }
+
+  /**
+   * Whether a light pulses on this beat
+   * @param {string} entityId
+   * @param {object} beatData - BEAT_TICK data
+   * @returns {number} Beats until the light's next pulse, or 0 if this beat isn't on its pulse grid
+   */
+  pulseStride(entityId, beatData) {
+    const light = this.lights.get(entityId);
+    if (!light) return 0;
+
+    const beatsPerBar = beatData.beatsPerBar || 4;
+    const level = this.chooseLevel(light, beatData.beatInterval, beatsPerBar);
+    if (level !== light.level) {
+      light.level = level;
+      console.log(`[LightScheduler] Pulsing ${entityId} every ${level.name} (${Math.round(beatData.bpm)} BPM)`);
+    }
+
+    const stride = level.beats(beatsPerBar);
+    const position = this.barCount * beatsPerBar + beatData.barPosition;
+    return position % stride === 0 ? stride : 0;
+  }
+
+  /**
+   * HA transition (seconds) for a pulse: half the time to the next pulse, capped
+   * @param {number} pulseInterval - ms until the next pulse
+   */
+  getTransition(pulseInterval) {
+    const transition = Math.min(MAX_TRANSITION, pulseInterval / 2);
+    return Math.round(transition / 10) / 100;
+  }
+
+  /**
+   * Send a command to a light within its budget
+   * @param {string} entityId
+   * @param {object} data - light.turn_on data
+   * @param {object} options
+   * @param {boolean} options.droppable - Drop instead of queueing when out of budget (beat pulses)
+   */
+  command(entityId, data, { droppable = false } = {}) {
+    const light = this.lights.get(entityId);
+    if (!light) return;
+
+    // Light still busy with the last command: merge into whatever is waiting
+    if (light.busy) {
+      this.queue(light, data, droppable);
+      return;
+    }
+
+    if (!this.takeToken(light)) {
+      if (droppable) {
+        light.metrics.dropped++;
+        return;
+      }
+
+      // Important commands (flashes, colors) wait for the next token
+      this.queue(light, data, false);
+      this.scheduleNext(entityId, light);
+      return;
+    }
+
+    this.dispatch(entityId, light, data);
+  }
+
+  queue(light, data, droppable) {
+    if (light.next) {
+      light.metrics.merged++;
+    }
+
+    light.next = {
+      data: mergeCommands(light.next?.data, data),
+      droppable: droppable && (light.next?.droppable ?? true),
+    };
+  }
+
+  async dispatch(entityId, light, data) {
+    light.busy = true;
+    light.metrics.sent++;
+
+    try {
+      await this.send(entityId, data);
+    } catch (error) {
+      console.error(`[LightScheduler] Command failed for ${entityId}:`, error.message || error);
+    }
+
+    light.busy = false;
+
+    if (light.next) {
+      this.scheduleNext(entityId, light);
+    }
+  }
+
+  /**
+   * Send the waiting command once a token is available
+   */
+  scheduleNext(entityId, light) {
+    if (light.timerId) return;
+
+    this.refill(light);
+    const wait = light.tokens >= 1 ? 0 : (1 - light.tokens) / light.refillRate;
+
+    light.timerId = setTimeout(() => {
+      light.timerId = null;
+
+      const next = light.next;
+      light.next = null;
+      if (!next || !this.lights.has(entityId)) return;
+
+      this.command(entityId, next.data, { droppable: next.droppable });
+    }, wait);
+  }
+
+  refill(light) {
+    const now = Date.now();
+    light.tokens = Math.min(this.burst, light.tokens + (now - light.lastRefill) * light.refillRate);
+    light.lastRefill = now;
+  }
+
+  takeToken(light) {
+    this.refill(light);
+    if (light.tokens < 1) return false;
+
+    light.tokens--;
+    return true;
+  }
+
+  /**
+   * Sent / dropped / merged commands per light and in total
+   */
+  getMetrics() {
+    const total = { sent: 0, dropped: 0, merged: 0 };
+    const lights = {};
+
+    this.lights.forEach((light, entityId) => {
+      lights[entityId] = {
+        ...light.metrics,
+        level: light.level?.name || null,
+        commandsPerMinute: Math.round(light.refillRate * 60000),
+        tokens: Math.floor(light.tokens * 10) / 10,
+      };
+      Object.keys(total).forEach(key => { total[key] += light.metrics[key]; });
+    });
+
+    return { ...total, lights };
+  }
+
+  /**
+   * Cancel waiting commands
+   */
+  stop() {
+    this.lights.forEach(light => {
+      if (light.timerId) clearTimeout(light.timerId);
+      light.timerId = null;
+      light.next = null;
+    });
+  }
+}
+
+/**
+ * Merge a newer light.turn_on into a waiting one, dropping fields the newer one overrides
+ */
+function mergeCommands(waiting = {}, data) {
+  const merged = { ...waiting };
+
+  EXCLUSIVE_FIELDS.forEach(fields => {
+    if (fields.some(field => field in data)) {
+      fields.forEach(field => delete merged[field]);
+    }
+  });
+
+  return Object.assign(merged, data);
+}
+
+export default LightScheduler;
@@ -0,0 +1,82 @@
+/**
+ * Section Detector - Build-up and drop detection from Spotify audio analysis
+ * Classifies analysis sections by loudness jumps between neighbours:
+ * a big jump up is a drop, the section before it is the build-up,
+ * a big jump down is a breakdown. Tempo confidence catches quiet build-ups:
+ * a section where the beat locks in (confidence rises at a steady or rising
+ * tempo) without getting quieter is a build-up even before any drop.
+ */
+
+// Loudness change between sections (dB) that counts as a drop / breakdown
+const DROP_LOUDNESS_JUMP = 3;
+const BREAKDOWN_LOUDNESS_DROP = 3;
+
+// Drops must be among the loudest parts of the track (dB below the loudest section)
+const DROP_MAX_BELOW_PEAK = 4;
+
+// Tempo confidence rise (0-1) and level that mark a build-up
+const BUILDUP_CONFIDENCE_RISE = 0.25;
+const BUILDUP_MIN_CONFIDENCE = 0.5;
+
+// Tempo may dip this much (share of the previous tempo) and still count as steady
+const TEMPO_TOLERANCE = 0.03;
+
+/**
+ * Classify audio analysis sections
+ * @param {Array} sections - Spotify audio analysis sections
+ * @returns {Array} Sections with startMs, durationMs, kind ('intro' | 'buildup' | 'drop' | 'breakdown' | 'section') and intensity (0-1)
+ */
+export function classifySections(sections = []) {
+  if (!sections.length) return [];
+
+  const loudnessValues = sections.map(section => section.loudness);
+  const minLoudness = Math.min(...loudnessValues);
+  const maxLoudness = Math.max(...loudnessValues);
+  const loudnessRange = maxLoudness - minLoudness || 1;
+
+  const classified = sections.map((section, index) => {
+    const previous = sections[index - 1];
+    const loudnessDelta = previous ? section.loudness - previous.loudness : 0;
+    const tempoConfidence = section.tempo_confidence ?? null;
+    const confidenceRise = previous && tempoConfidence !== null && previous.tempo_confidence != null
+      ? tempoConfidence - previous.tempo_confidence
+      : 0;
+    const tempoSteady = previous && section.tempo >= previous.tempo * (1 - TEMPO_TOLERANCE);
+
+    let kind = 'section';
+    if (index === 0) {
+      kind = 'intro';
+    } else if (loudnessDelta >= DROP_LOUDNESS_JUMP && maxLoudness - section.loudness <= DROP_MAX_BELOW_PEAK) {
+      kind = 'drop';
+    } else if (loudnessDelta <= -BREAKDOWN_LOUDNESS_DROP) {
+      kind = 'breakdown';
+    } else if (confidenceRise >= BUILDUP_CONFIDENCE_RISE && tempoConfidence >= BUILDUP_MIN_CONFIDENCE && tempoSteady) {
+      kind = 'buildup';
+    }
+
+    return {
+      index,
+      startMs: section.start * 1000,
+      durationMs: section.duration * 1000,
+      loudness: section.loudness,
+      loudnessDelta,
+      tempo: section.tempo,
+      tempoConfidence,
+      confidence: section.confidence,
+      intensity: (section.loudness - minLoudness) / loudnessRange,
+      kind,
+    };
+  });
+
+  // The section leading into a drop is its build-up
+  classified.forEach((section, index) => {
+    const next = classified[index + 1];
+    if (next?.kind === 'drop' && section.kind !== 'drop') {
+      section.kind = 'buildup';
+    }
+  });
+
+  return classified;
+}
+
+export default { classifySections };
@@ -0,0 +1,158 @@
+/**
+ * Spectrum - Audio level and spectrum analysis helpers
+ * Pure functions (no DOM/Node APIs): RMS, peak, FFT and log-spaced bands
+ */
+
+/**
+ * RMS and peak of a block of samples (-1..1)
+ */
+export function computeLevels(samples) {
+  let sumSquares = 0;
+  let peak = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = samples[i];
+    sumSquares += value * value;
+    const abs = Math.abs(value);
+    if (abs > peak) peak = abs;
+  }
+
+  return {
+    rms: samples.length ? Math.sqrt(sumSquares / samples.length) : 0,
+    peak,
+  };
+}
+
+/**
+ * Hann window coefficients (cached per size)
+ */
+const windowCache = new Map();
+
+function getHannWindow(size) {
+  if (!windowCache.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+    }
+    windowCache.set(size, window);
+  }
+  return windowCache.get(size);
+}
+
+/**
+ * Magnitude spectrum of a block of samples (in-place radix-2 FFT)
+ * @param {Float32Array} samples - Block of samples, length must be a power of 2
+ * @returns {Float32Array} Magnitudes for bins 0..N/2-1 (normalized to ~0-1)
+ */
+export function computeMagnitudes(samples) {
+  const size = samples.length;
+  if (size & (size - 1)) {
+    throw new Error(`FFT size must be a power of 2, got ${size}`);
+  }
+
+  const window = getHannWindow(size);
+  const real = new Float32Array(size);
+  const imag = new Float32Array(size);
+
+  for (let i = 0; i < size; i++) {
+    real[i] = samples[i] * window[i];
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+    }
+  }
+
+  // Butterflies
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const wReal = Math.cos(angle);
+    const wImag = Math.sin(angle);
+
+    for (let start = 0; start < size; start += length) {
+      let curReal = 1;
+      let curImag = 0;
+
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tReal = real[b] * curReal - imag[b] * curImag;
+        const tImag = real[b] * curImag + imag[b] * curReal;
+
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+
+        const nextReal = curReal * wReal - curImag * wImag;
+        curImag = curReal * wImag + curImag * wReal;
+        curReal = nextReal;
+      }
+    }
+  }
+
+  // Hann window halves the amplitude, N/2 bins share the energy
+  const magnitudes = new Float32Array(size / 2);
+  const scale = 4 / size;
+  for (let i = 0; i < size / 2; i++) {
+    magnitudes[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]) * scale;
+  }
+
+  return magnitudes;
+}
+
+/**
+ * Group FFT magnitudes into log-spaced frequency bands
+ * @param {Float32Array} magnitudes - From computeMagnitudes()
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {object} options
+ * @param {number} options.bandCount - Number of bands (default: 32)
+ * @param {number} options.minFrequency - Lowest band edge in Hz (default: 30)
+ * @param {number} options.maxFrequency - Highest band edge in Hz (default: 16000)
+ * @param {number} options.minDecibels - Level mapped to 0 (default: -70)
+ * @returns {{ bands: number[], frequencies: number[] }} Band levels (0-1) and center frequencies
+ */
+export function computeBands(magnitudes, sampleRate, {
+  bandCount = 32,
+  minFrequency = 30,
+  maxFrequency = 16000,
+  minDecibels = -70,
+} = {}) {
+  const nyquist = sampleRate / 2;
+  const binWidth = nyquist / magnitudes.length;
+  const top = Math.min(maxFrequency, nyquist);
+  const ratio = Math.pow(top / minFrequency, 1 / bandCount);
+
+  const bands = [];
+  const frequencies = [];
+
+  for (let band = 0; band < bandCount; band++) {
+    const low = minFrequency * Math.pow(ratio, band);
+    const high = low * ratio;
+
+    const firstBin = Math.max(1, Math.floor(low / binWidth));
+    const lastBin = Math.min(magnitudes.length - 1, Math.max(firstBin, Math.ceil(high / binWidth) - 1));
+
+    // Peak magnitude in the band (keeps narrow low bands from reading as silence)
+    let magnitude = 0;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      if (magnitudes[bin] > magnitude) magnitude = magnitudes[bin];
+    }
+
+    const decibels = 20 * Math.log10(magnitude || 1e-9);
+    bands.push(Math.max(0, Math.min(1, 1 - decibels / minDecibels)));
+    frequencies.push(Math.round(Math.sqrt(low * high)));
+  }
+
+  return { bands, frequencies };
+}
+
+export default { computeLevels, computeMagnitudes, computeBands };
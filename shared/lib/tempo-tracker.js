@@ -0,0 +1,188 @@
+/**
+ * Tempo Tracker - Live BPM detection from the audio spectrum stream
+ * Builds an onset envelope (positive spectral flux) from spectrum frames,
+ * finds the beat period by autocorrelation and the beat phase with a comb
+ * filter. Used when Spotify has no tempo for the track (or isn't playing).
+ */
+
+// Estimates need a few bars of audio
+const MIN_HISTORY_MS = 4000;
+
+// Octave ambiguity (87 or 174?) is settled towards this tempo without a genre range
+const DEFAULT_PREFERRED_BPM = 120;
+
+export class TempoTracker {
+  /**
+   * @param {object} options
+   * @param {number} options.minBPM - Lowest tempo considered (default: 70)
+   * @param {number} options.maxBPM - Highest tempo considered (default: 240, hardcore goes past 200)
+   * @param {number} options.historyMs - Onset history analyzed (default: 8000)
+   */
+  constructor({ minBPM = 70, maxBPM = 240, historyMs = 8000 } = {}) {
+    this.minBPM = minBPM;
+    this.maxBPM = maxBPM;
+    this.historyMs = historyMs;
+    this.preferredBPM = DEFAULT_PREFERRED_BPM;
+    this.reset();
+  }
+
+  /**
+   * Expected tempo range (the genre theme's bpm), so DnB and hardcore aren't
+   * read as half-time and house isn't read as double-time
+   * @param {object|null} range - { min, max }, null for the default
+   */
+  setPreferredRange(range) {
+    this.preferredBPM = range?.min > 0 && range?.max >= range.min
+      ? Math.sqrt(range.min * range.max)
+      : DEFAULT_PREFERRED_BPM;
+  }
+
+  reset() {
+    this.onsets = [];
+    this.times = [];
+    this.previousBands = null;
+  }
+
+  /**
+   * Add a spectrum frame
+   * @param {number[]} bands - Band levels (0-1), e.g. AUDIO_SPECTRUM_UPDATE bands
+   * @param {number} timestamp - Wall time of the frame
+   */
+  addFrame(bands, timestamp = Date.now()) {
+    if (!bands?.length) return;
+
+    // Positive spectral flux: how much louder the bands got since the last frame
+    let flux = 0;
+    if (this.previousBands?.length === bands.length) {
+      for (let i = 0; i < bands.length; i++) {
+        flux += Math.max(0, bands[i] - this.previousBands[i]);
+      }
+      flux /= bands.length;
+    }
+    this.previousBands = bands;
+
+    this.onsets.push(flux);
+    this.times.push(timestamp);
+
+    while (this.times.length && this.times[0] < timestamp - this.historyMs) {
+      this.onsets.shift();
+      this.times.shift();
+    }
+  }
+
+  /**
+   * Estimate tempo and beat phase from the onset history
+   * @returns {{ bpm: number, confidence: number, phase: number }|null} phase is the wall time of a recent beat
+   */
+  estimate() {
+    const count = this.onsets.length;
+    if (count < 2 || this.times[count - 1] - this.times[0] < MIN_HISTORY_MS) {
+      return null;
+    }
+
+    const frameInterval = (this.times[count - 1] - this.times[0]) / (count - 1);
+
+    // Zero-mean onset envelope
+    const mean = this.onsets.reduce((sum, value) => sum + value, 0) / count;
+    const envelope = this.onsets.map(value => value - mean);
+
+    const autocorrelation = (lag) => {
+      let sum = 0;
+      for (let i = lag; i < count; i++) {
+        sum += envelope[i] * envelope[i - lag];
+      }
+      return sum / (count - lag);
+    };
+
+    const energy = autocorrelation(0);
+    if (energy <= 0) return null;
+
+    const minLag = Math.max(1, Math.floor(60000 / this.maxBPM / frameInterval));
+    const maxLag = Math.min(count - 1, Math.ceil(60000 / this.minBPM / frameInterval));
+    if (maxLag <= minLag) return null;
+
+    const correlations = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      correlations[lag] = lag > 0 && lag < count ? autocorrelation(lag) : 0;
+    }
+
+    // Strongest period, weighted towards the preferred tempo to settle octave ambiguity
+    let bestLag = null;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60000 / (lag * frameInterval);
+      const weight = Math.exp(-0.5 * Math.log2(bpm / this.preferredBPM) ** 2);
+      const score = correlations[lag] * weight;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    if (correlations[bestLag] <= 0) return null;
+
+    // Parabolic interpolation for a fractional period (frames are coarse)
+    const before = correlations[bestLag - 1];
+    const peak = correlations[bestLag];
+    const after = correlations[bestLag + 1];
+    const curvature = before - 2 * peak + after;
+    const offset = curvature < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (before - after) / curvature)) : 0;
+    const period = bestLag + offset;
+
+    return {
+      bpm: Math.round(600000 / (period * frameInterval)) / 10,
+      confidence: Math.round(Math.max(0, Math.min(1, peak / energy)) * 100) / 100,
+      phase: this.findPhase(envelope, period, frameInterval),
+    };
+  }
+
+  /**
+   * Wall time of the most recent beat: the offset whose comb of beat-spaced
+   * frames collects the most onset energy
+   */
+  findPhase(envelope, period, frameInterval) {
+    const last = envelope.length - 1;
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+
+    for (let offset = 0; offset < period; offset++) {
+      let score = 0;
+      for (let position = last - offset; position >= 0; position -= period) {
+        score += envelope[Math.round(position)] || 0;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+
+    return Math.round(this.times[last] - bestOffset * frameInterval);
+  }
+}
+
+/**
+ * Tempo from tap timestamps (tap-along BPM)
+ * @param {number[]} taps - Tap wall times, oldest first
+ * @returns {{ bpm: number, phase: number }|null} null until there are 4 taps
+ */
+export function bpmFromTaps(taps) {
+  if (taps.length < 4) return null;
+
+  const intervals = [];
+  for (let i = 1; i < taps.length; i++) {
+    intervals.push(taps[i] - taps[i - 1]);
+  }
+
+  // Median interval ignores a single sloppy tap
+  intervals.sort((a, b) => a - b);
+  const median = intervals[Math.floor(intervals.length / 2)];
+
+  return {
+    bpm: Math.round(600000 / median) / 10,
+    phase: taps[taps.length - 1],
+  };
+}
+
+export default TempoTracker;
@@ -5,183 +5,157 @@
 
 import { extractColors, rgbToString, getComplementary } from './color-extractor.js';
 import { BeatEngine } from './beat-engine.js';
-
-// Genre theme mappings
-const GENRE_THEMES = {
-  trance: {
-    name: 'Ethereal Trance',
-    baseColors: {
-      primary: { r: 139, g: 92, b: 246 }, // Purple
-      secondary: { r: 236, g: 72, b: 153 }, // Pink
-      accent: { r: 6, g: 182, b: 212 }, // Cyan
-    },
-    effects: {
-      glowIntensity: '30px',
-      animationSpeed: '2s',
-      blurStrength: '12px',
-    },
-  },
-  hardcore: {
-    name: 'Hardcore Energy',
-    baseColors: {
-      primary: { r: 239, g: 68, b: 68 }, // Red
-      secondary: { r: 249, g: 115, b: 22 }, // Orange
-      accent: { r: 251, g: 191, b: 36 }, // Yellow
-    },
-    effects: {
-      glowIntensity: '35px',
-      animationSpeed: '0.5s',
-      blurStrength: '8px',
-    },
-  },
-  hardstyle: {
-    name: 'Hardstyle Power',
-    baseColors: {
-      primary: { r: 239, g: 68, b: 68 }, // Red
-      secondary: { r: 249, g: 115, b: 22 }, // Orange
-      accent: { r: 251, g: 191, b: 36 }, // Yellow
-    },
-    effects: {
-      glowIntensity: '32px',
-      animationSpeed: '0.6s',
-      blurStrength: '10px',
-    },
-  },
-  techno: {
-    name: 'Techno Minimal',
-    baseColors: {
-      primary: { r: 59, g: 130, b: 246 }, // Blue
-      secondary: { r: 139, g: 92, b: 246 }, // Purple
-      accent: { r: 236, g: 72, b: 153 }, // Pink
-    },
-    effects: {
-      glowIntensity: '20px',
-      animationSpeed: '1.2s',
-      blurStrength: '10px',
-    },
+import { GenreClassifier } from './genre-classifier.js';
+import { ThemeTransition } from './theme-transition.js';
+
+// Fallback until themes are loaded (see setThemes and themes/*.json)
+const DEFAULT_THEME = {
+  name: 'Default',
+  baseColors: {
+    primary: { r: 139, g: 92, b: 246 }, // Purple
+    secondary: { r: 236, g: 72, b: 153 }, // Pink
+    accent: { r: 6, g: 182, b: 212 }, // Cyan
   },
-  house: {
-    name: 'House Groove',
-    baseColors: {
-      primary: { r: 16, g: 185, b: 129 }, // Green
-      secondary: { r: 6, g: 182, b: 212 }, // Cyan
-      accent: { r: 139, g: 92, b: 246 }, // Purple
-    },
-    effects: {
-      glowIntensity: '22px',
-      animationSpeed: '1.5s',
-      blurStrength: '10px',
-    },
+  effects: {
+    glowIntensity: '20px',
+    animationSpeed: '1s',
+    blurStrength: '10px',
   },
-  dnb: {
-    name: 'Drum & Bass',
-    baseColors: {
-      primary: { r: 236, g: 72, b: 153 }, // Pink
-      secondary: { r: 6, g: 182, b: 212 }, // Cyan
-      accent: { r: 251, g: 191, b: 36 }, // Yellow
-    },
-    effects: {
-      glowIntensity: '25px',
-      animationSpeed: '0.8s',
-      blurStrength: '10px',
-    },
+  dance: {
+    animation: 'dance-default',
+    easing: 'ease-in-out',
   },
-  default: {
-    name: 'Default',
-    baseColors: {
-      primary: { r: 139, g: 92, b: 246 }, // Purple
-      secondary: { r: 236, g: 72, b: 153 }, // Pink
-      accent: { r: 6, g: 182, b: 212 }, // Cyan
-    },
-    effects: {
-      glowIntensity: '20px',
-      animationSpeed: '1s',
-      blurStrength: '10px',
-    },
+  transition: {
+    duration: 1500,
   },
-};
-
-// Genre detection mapping
-const GENRE_MAP = {
-  // Trance variants
-  'trance': 'trance',
-  'progressive trance': 'trance',
-  'uplifting trance': 'trance',
-  'vocal trance': 'trance',
-  'psytrance': 'trance',
-  'psy trance': 'trance',
-
-  // Hardcore variants
-  'hardcore': 'hardcore',
-  'frenchcore': 'hardcore',
-  'speedcore': 'hardcore',
-  'uptempo hardcore': 'hardcore',
-  'gabber': 'hardcore',
-  'industrial hardcore': 'hardcore',
-
-  // Hardstyle
-  'hardstyle': 'hardstyle',
-  'rawstyle': 'hardstyle',
-  'euphoric hardstyle': 'hardstyle',
-
-  // Techno
-  'techno': 'techno',
-  'minimal techno': 'techno',
-  'acid techno': 'techno',
-  'detroit techno': 'techno',
-
-  // House
-  'house': 'house',
-  'tech house': 'house',
-  'deep house': 'house',
-  'progressive house': 'house',
-  'electro house': 'house',
-
-  // DnB
-  'drum and bass': 'dnb',
-  'dnb': 'dnb',
-  'jungle': 'dnb',
-  'neurofunk': 'dnb',
-  'liquid dnb': 'dnb',
+  aliases: [],
+  lightProgram: 'default',
 };
 
 export class ThemeEngine {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {function} options.extractColors - Album art color extractor (defaults to the canvas one)
+   */
+  constructor(eventBus, options = {}) {
     this.eventBus = eventBus;
+    this.extractColors = options.extractColors || extractColors;
     this.currentTheme = null;
     this.syncWithHA = false;
     this.albumArtColors = null;
     this.haLightColors = null;
     this.beatEngine = new BeatEngine(eventBus);
+    this.transition = null; // ThemeTransition, created by applyTheme (browser only)
     this.currentBPM = null;
     this.audioFeatures = null;
+    this.trackArtistGenres = []; // Genres per track artist, primary first
+    this.trackEnergy = null;
+
+    // Genre themes (key -> theme), ranked per track by the classifier
+    this.themes = { default: DEFAULT_THEME };
+    this.genreClassifier = new GenreClassifier();
+    this.genreRanking = [];
+
+    // Manual lock: genre theme key and/or palette ({ r, g, b }[]), null = auto
+    this.lock = { genre: null, colors: null };
+
+    // Tempo sources, in priority order: override (tap/manual) > Spotify > live detection
+    this.bpmOverride = null;
+    this.trackBPM = null;
+    this.detectedTempo = null;
+    this.tempo = null;
   }
 
   /**
-   * Detect genre theme from genre string(s)
+   * Replace the genre themes (from themes/*.json, see ThemeLoader)
+   * @param {object[]} themes - { key, name, colors (hex), effects, dance, aliases, bpm, energy, lightProgram }
    */
-  detectGenreTheme(genres) {
-    if (!genres || genres.length === 0) {
-      return 'default';
-    }
+  setThemes(themes) {
+    this.themes = { default: DEFAULT_THEME };
+
+    themes.forEach(theme => {
+      this.themes[theme.key] = {
+        name: theme.name,
+        baseColors: {
+          primary: hexToRgb(theme.colors.primary),
+          secondary: hexToRgb(theme.colors.secondary),
+          accent: hexToRgb(theme.colors.accent),
+        },
+        effects: { ...theme.effects },
+        dance: { ...theme.dance },
+        transition: { ...DEFAULT_THEME.transition, ...theme.transition },
+        aliases: theme.aliases,
+        bpm: theme.bpm || null,
+        energy: theme.energy || null,
+        lightProgram: theme.lightProgram,
+      };
+    });
 
-    // Normalize and search
-    for (const genre of genres) {
-      const normalized = genre.toLowerCase().trim();
+    this.genreClassifier.setThemes(themes);
+  }
 
-      if (GENRE_MAP[normalized]) {
-        return GENRE_MAP[normalized];
-      }
+  /**
+   * Lock the genre theme and/or colors, or hand them back to auto mode
+   * Only the fields present change; null unlocks that field
+   * @param {object} lock - { genre: theme key, colors: ['#rrggbb', ...] (primary, secondary, accent, ...) }
+   * @throws {Error} Unknown genre or invalid colors
+   */
+  setLock(lock) {
+    if (!lock || typeof lock !== 'object') {
+      throw new Error('lock must be an object');
+    }
 
-      // Partial matching
-      for (const [key, value] of Object.entries(GENRE_MAP)) {
-        if (normalized.includes(key) || key.includes(normalized)) {
-          return value;
-        }
-      }
+    // Validate every field before touching the current lock
+    const genre = lock.genre;
+    if ('genre' in lock && genre && (typeof genre !== 'string' || !Object.hasOwn(this.themes, genre))) {
+      throw new Error(`Unknown genre theme "${genre}"`);
+    }
+
+    const colors = lock.colors;
+    if ('colors' in lock && colors && (!Array.isArray(colors) || !colors.length || !colors.every(color => /^#[0-9a-fA-F]{6}$/.test(color)))) {
+      throw new Error('colors must be a list of #rrggbb colors');
     }
 
-    return 'default';
+    const next = { ...this.lock };
+    if ('genre' in lock) next.genre = genre || null;
+    if ('colors' in lock) next.colors = colors ? colors.map(hexToRgb) : null;
+
+    this.lock = next;
+  }
+
+  /**
+   * Current lock (colors as '#rrggbb', bpm from a manual tempo override)
+   */
+  getLock() {
+    return {
+      genre: this.lock.genre,
+      bpm: this.bpmOverride?.source === 'manual' ? this.bpmOverride.bpm : null,
+      colors: this.lock.colors ? this.lock.colors.map(rgbToHex) : null,
+    };
+  }
+
+  isLocked() {
+    const lock = this.getLock();
+    return !!(lock.genre || lock.bpm || lock.colors);
+  }
+
+  /**
+   * Where the theme comes from: 'manual' (locked), 'homeassistant' (light colors) or 'spotify'
+   */
+  getSource() {
+    if (this.isLocked()) return 'manual';
+    return this.syncWithHA && this.haLightColors ? 'homeassistant' : 'spotify';
+  }
+
+  /**
+   * Detect genre theme from genre string(s)
+   * @param {string[]} genres - Spotify genres
+   * @param {object} features - { bpm, energy } (optional, break ties between genres)
+   */
+  detectGenreTheme(genres, features = {}) {
+    const ranking = this.genreClassifier.classify({ artistGenres: [genres || []], ...features });
+    return ranking[0]?.key || 'default';
   }
 
   /**
@@ -192,36 +166,23 @@ export class ThemeEngine {
       return null;
     }
 
-    // Detect genre theme
-    const genreKey = this.detectGenreTheme(trackData.genres || []);
-    const genreTheme = GENRE_THEMES[genreKey] || GENRE_THEMES.default;
+    this.trackArtistGenres = trackData.artists?.map(artist => artist.genres || []) || [trackData.genres || []];
+    this.trackEnergy = trackData.features?.energy ?? null;
 
     // Extract colors from album art
-    let colors = genreTheme.baseColors;
-
+    this.albumArtColors = null;
     if (trackData.track.albumArt) {
       try {
-        const extracted = await extractColors(trackData.track.albumArt);
-        this.albumArtColors = extracted;
-
-        // Use extracted colors as primary/secondary
-        colors = {
-          primary: extracted.dominant,
-          secondary: extracted.palette[1] || extracted.dominant,
-          accent: genreTheme.baseColors.accent, // Keep genre-specific accent
-        };
+        this.albumArtColors = await this.extractColors(trackData.track.albumArt);
       } catch (error) {
         console.error('[ThemeEngine] Color extraction failed:', error);
       }
     }
 
-    // Override with HA light colors if enabled
-    if (this.syncWithHA && this.haLightColors) {
-      colors.primary = this.haLightColors;
-    }
-
-    // Extract BPM and audio features
-    const bpm = trackData.features?.bpm || 120; // Default to 120 BPM if missing
+    // Extract BPM and audio features (Spotify often has no tempo, see resolveTempo)
+    this.trackBPM = trackData.features?.bpm || null;
+    const tempo = this.resolveTempo();
+    const bpm = tempo.bpm;
     const audioFeatures = {
       energy: trackData.features?.energy || 0.5,
       valence: trackData.features?.valence || 0.5,
@@ -230,12 +191,67 @@ export class ThemeEngine {
 
     this.currentBPM = bpm;
     this.audioFeatures = audioFeatures;
+    this.tempo = tempo;
 
     // Start beat engine with BPM
     if (bpm && bpm > 0) {
-      this.beatEngine.setBPM(bpm, audioFeatures);
+      this.beatEngine.setBPM(bpm, audioFeatures, { phase: tempo.phase, confidence: tempo.confidence });
     }
 
+    return this.buildTheme();
+  }
+
+  /**
+   * Rebuild the current theme after the genre themes or the lock changed (keeps tempo and beat sync)
+   * A lock builds a theme even before the first track (e.g. playing vinyl)
+   * @returns {object|null} Updated theme to broadcast (null before the first theme)
+   */
+  refreshTheme() {
+    if (!this.currentTheme && !this.isLocked()) return null;
+    return this.buildTheme();
+  }
+
+  /**
+   * Build the theme from the current track's genres, album art colors and tempo
+   */
+  buildTheme() {
+    const bpm = this.currentBPM;
+    const tempo = this.tempo || {};
+
+    // Rank genre themes (the 120 BPM fallback says nothing about the genre)
+    this.genreRanking = this.genreClassifier.classify({
+      artistGenres: this.trackArtistGenres,
+      bpm: tempo.source === 'default' ? null : bpm,
+      energy: this.trackEnergy,
+    });
+    const genreKey = this.lock.genre || this.genreRanking[0]?.key || 'default';
+    const genreTheme = this.themes[genreKey] || this.themes.default;
+
+    let colors = { ...genreTheme.baseColors };
+    let palette = [colors.primary, colors.secondary, colors.accent];
+
+    if (this.albumArtColors) {
+      // Use extracted colors as primary/secondary
+      colors = {
+        primary: this.albumArtColors.dominant,
+        secondary: this.albumArtColors.palette[1] || this.albumArtColors.dominant,
+        accent: genreTheme.baseColors.accent, // Keep genre-specific accent
+      };
+      palette = this.albumArtColors.palette;
+    }
+
+    if (this.lock.colors) {
+      // Locked palette: primary, secondary, accent (missing ones repeat or keep the genre accent)
+      const [primary, secondary = primary, accent = genreTheme.baseColors.accent] = this.lock.colors;
+      colors = { primary, secondary, accent };
+      palette = this.lock.colors;
+    } else if (this.syncWithHA && this.haLightColors) {
+      // Override with HA light colors if enabled
+      colors.primary = this.haLightColors;
+    }
+
+    const audioFeatures = this.audioFeatures || { energy: 0.5, valence: 0.5, danceability: 0.5 };
+
     // Calculate beat duration in milliseconds
     const beatDuration = bpm ? `${Math.round(60000 / bpm)}ms` : '1000ms';
 
@@ -249,9 +265,12 @@ export class ThemeEngine {
 
     // Build theme object
     const theme = {
-      source: this.syncWithHA && this.haLightColors ? 'homeassistant' : 'spotify',
+      source: this.getSource(),
+      lock: this.getLock(), // { genre, bpm, colors }, null = auto
       genre: genreKey,
       genreName: genreTheme.name,
+      genreConfidence: this.genreRanking[0]?.confidence ?? 0,
+      genreRanking: this.genreRanking.slice(0, 3), // [{ key, score, confidence }]
       colors: {
         primary: rgbToString(colors.primary),
         secondary: rgbToString(colors.secondary),
@@ -260,12 +279,19 @@ export class ThemeEngine {
         text: '#ffffff',
         textSecondary: 'rgba(255, 255, 255, 0.7)',
       },
+      palette: palette.map(rgbToString), // Album art palette (light color cycles)
       effects: {
         ...genreTheme.effects,
+        danceAnimation: genreTheme.dance.animation,
+        danceEasing: genreTheme.dance.easing || 'ease-in-out',
         beatDuration: beatDuration,
       },
+      transition: { ...genreTheme.transition }, // Crossfade timing for widgets and lights (ms)
+      lightProgram: genreTheme.lightProgram,
       audioFeatures: audioFeatures,
       bpm: bpm,
+      bpmSource: tempo.source,
+      bpmConfidence: tempo.confidence,
       intensityClass: intensityClass,
       timestamp: Date.now(),
     };
@@ -275,41 +301,93 @@ export class ThemeEngine {
   }
 
   /**
-   * Apply theme to document (update CSS custom properties)
+   * Pick the tempo to use: a tapped/manual override, then Spotify's tempo,
+   * then the live estimate from the audio input, then 120 BPM
+   * @returns {{ bpm, phase, confidence, source }} source: 'tap' | 'manual' | 'spotify' | 'detected' | 'default'
+   */
+  resolveTempo() {
+    if (this.bpmOverride) {
+      return { ...this.bpmOverride };
+    }
+
+    if (this.trackBPM) {
+      return { bpm: this.trackBPM, phase: null, confidence: null, source: 'spotify' };
+    }
+
+    if (this.detectedTempo) {
+      return { ...this.detectedTempo, source: 'detected' };
+    }
+
+    return { bpm: 120, phase: null, confidence: 0, source: 'default' };
+  }
+
+  /**
+   * Override the tempo (tap tempo, manual BPM), or clear the override with null
+   * @param {object|null} override - { bpm, phase, source: 'tap' | 'manual' }
+   */
+  setBPMOverride(override) {
+    this.bpmOverride = override ? {
+      bpm: override.bpm,
+      phase: override.phase ?? null,
+      confidence: 1,
+      source: override.source || 'manual',
+    } : null;
+  }
+
+  /**
+   * Latest live tempo estimate ({ bpm, phase, confidence } from TempoTracker)
+   */
+  setDetectedTempo(estimate) {
+    this.detectedTempo = estimate ? { ...estimate } : null;
+  }
+
+  /**
+   * Re-apply the resolved tempo after an override or estimate changed
+   * Updates the beat engine and the current theme's beat duration
+   * @returns {object|null} Updated theme to broadcast (null before the first theme)
+   */
+  updateTempo() {
+    const tempo = this.resolveTempo();
+    this.tempo = tempo;
+    this.currentBPM = tempo.bpm;
+
+    this.beatEngine.setBPM(tempo.bpm, this.audioFeatures || {}, {
+      phase: tempo.phase,
+      confidence: tempo.confidence,
+    });
+
+    if (!this.currentTheme) return null;
+
+    this.currentTheme = {
+      ...this.currentTheme,
+      effects: {
+        ...this.currentTheme.effects,
+        beatDuration: `${Math.round(60000 / tempo.bpm)}ms`,
+      },
+      source: this.getSource(),
+      lock: this.getLock(),
+      bpm: tempo.bpm,
+      bpmSource: tempo.source,
+      bpmConfidence: tempo.confidence,
+      timestamp: Date.now(),
+    };
+
+    return this.currentTheme;
+  }
+
+  /**
+   * Apply theme to document (CSS custom properties and theme class)
+   * Crossfades from the current theme, the class switches on the next downbeat
    */
   applyTheme(theme) {
     if (!theme) return;
 
-    const root = document.documentElement;
-
-    // Apply color variables
-    root.style.setProperty('--color-primary', theme.colors.primary);
-    root.style.setProperty('--color-secondary', theme.colors.secondary);
-    root.style.setProperty('--color-accent', theme.colors.accent);
-    root.style.setProperty('--color-bg', theme.colors.background);
-    root.style.setProperty('--color-text', theme.colors.text);
-    root.style.setProperty('--color-text-secondary', theme.colors.textSecondary);
-
-    // Apply effect variables
-    root.style.setProperty('--glow-intensity', theme.effects.glowIntensity);
-    root.style.setProperty('--animation-speed', theme.effects.animationSpeed);
-    root.style.setProperty('--blur-strength', theme.effects.blurStrength);
-
-    // Apply beat-specific variables
-    root.style.setProperty('--beat-duration', theme.effects.beatDuration || '1000ms');
-    root.style.setProperty('--energy', theme.audioFeatures?.energy || 0.5);
-    root.style.setProperty('--valence', theme.audioFeatures?.valence || 0.5);
-    root.style.setProperty('--danceability', theme.audioFeatures?.danceability || 0.5);
-
-    // Apply genre class to root for CSS targeting
-    // Remove any existing theme-* classes first
-    root.classList.forEach(className => {
-      if (className.startsWith('theme-')) {
-        root.classList.remove(className);
-      }
-    });
-    // Add the new theme class
-    root.classList.add(`theme-${theme.genre}`);
+    if (!this.transition) {
+      this.transition = new ThemeTransition(this.eventBus, { followThemeUpdates: false });
+      this.transition.start();
+    }
+
+    this.transition.transitionTo(theme);
 
     console.log(`[ThemeEngine] Applied theme: ${theme.genreName} (${theme.source}), BPM: ${theme.bpm}, Energy: ${theme.audioFeatures?.energy?.toFixed(2)}`);
   }
@@ -365,11 +443,34 @@ export class ThemeEngine {
    * Get available genre themes
    */
   getAvailableThemes() {
-    return Object.entries(GENRE_THEMES).map(([key, theme]) => ({
+    return Object.entries(this.themes).map(([key, theme]) => ({
       key,
       name: theme.name,
+      aliases: theme.aliases,
+      bpm: theme.bpm || null,
+      energy: theme.energy || null,
+      dance: theme.dance.animation,
+      lightProgram: theme.lightProgram,
     }));
   }
 }
 
+/**
+ * { r, g, b } -> '#rrggbb'
+ */
+function rgbToHex({ r, g, b }) {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * '#rrggbb' -> { r, g, b }
+ */
+function hexToRgb(hex) {
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16),
+  };
+}
+
 export default ThemeEngine;
@@ -0,0 +1,251 @@
+/**
+ * Theme Transition - Animated theme changes, shared by every widget
+ * Colors crossfade in OKLCH and lengths (glow, blur) and audio features tween
+ * over the theme's transition duration. The genre/intensity classes and the
+ * values that restart CSS animations (dance keyframes, easing, beat duration,
+ * animation speed) switch together on the next downbeat, so dancing widgets
+ * change step on the beat instead of jumping mid-move.
+ */
+
+import { EventTypes } from './event-bus.js';
+import { mixOklch } from './color-extractor.js';
+
+const DEFAULT_DURATION = 1500; // ms, for themes without transition timing
+const MAX_DOWNBEAT_WAIT = 2500; // Switch anyway when no beats arrive (paused, no tempo)
+
+export class ThemeTransition {
+  /**
+   * @param {EventBus} eventBus
+   * @param {object} options
+   * @param {HTMLElement} options.root - Element that gets the CSS variables (default: <html>)
+   * @param {function} options.onClasses - ({ themeClass, intensityClass }, theme) on the downbeat;
+   *   without it the classes are swapped on the root element
+   * @param {function} options.onFrame - After each step that changed variables (e.g. canvas redraws)
+   * @param {boolean} options.followThemeUpdates - Transition on THEME_UPDATE (default: true)
+   */
+  constructor(eventBus, { root = document.documentElement, onClasses = null, onFrame = null, followThemeUpdates = true } = {}) {
+    this.eventBus = eventBus;
+    this.root = root;
+    this.onClasses = onClasses;
+    this.onFrame = onFrame;
+    this.followThemeUpdates = followThemeUpdates;
+
+    this.values = {}; // CSS variable -> current value ({ kind: 'color' | 'number', ... })
+    this.tween = null; // { from, to, start, duration }
+    this.frameId = null;
+    this.pending = null; // { theme, deferred } waiting for the downbeat
+    this.pendingTimerId = null;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    if (this.followThemeUpdates) {
+      this.unsubscribers.push(
+        this.eventBus.on(EventTypes.THEME_UPDATE, (theme) => this.transitionTo(theme))
+      );
+    }
+
+    this.unsubscribers.push(
+      this.eventBus.on(EventTypes.BEAT_TICK, (beatData) => {
+        if (beatData.downbeat) this.switchPending();
+      })
+    );
+  }
+
+  /**
+   * Start moving to a theme (the first one is applied at once)
+   */
+  transitionTo(theme) {
+    if (!theme) return;
+
+    const { tweened, deferred } = splitVariables(theme);
+
+    // Widget just loaded: nothing on screen to transition from
+    if (!Object.keys(this.values).length) {
+      Object.entries(tweened).forEach(([name, value]) => this.setValue(name, value));
+      this.pending = { theme, deferred };
+      this.switchPending();
+      return;
+    }
+
+    this.tween = {
+      from: { ...this.values },
+      to: tweened,
+      start: now(),
+      duration: theme.transition?.duration ?? DEFAULT_DURATION,
+    };
+    this.requestStep();
+
+    this.pending = { theme, deferred };
+    clearTimeout(this.pendingTimerId);
+    this.pendingTimerId = setTimeout(() => this.switchPending(), MAX_DOWNBEAT_WAIT);
+  }
+
+  requestStep() {
+    if (this.frameId) return;
+
+    this.frameId = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame(() => this.step())
+      : setTimeout(() => this.step(), 16);
+  }
+
+  step() {
+    this.frameId = null;
+    if (!this.tween) return;
+
+    const { from, to, start, duration } = this.tween;
+    const progress = duration > 0 ? Math.min(1, (now() - start) / duration) : 1;
+    const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+
+    Object.entries(to).forEach(([name, target]) => {
+      this.setValue(name, interpolate(from[name], target, eased));
+    });
+    this.onFrame?.();
+
+    if (progress < 1) {
+      this.requestStep();
+    } else {
+      this.tween = null;
+    }
+  }
+
+  /**
+   * Apply the waiting theme's classes and animation values (on the downbeat)
+   */
+  switchPending() {
+    if (!this.pending) return;
+
+    const { theme, deferred } = this.pending;
+    this.pending = null;
+    clearTimeout(this.pendingTimerId);
+    this.pendingTimerId = null;
+
+    Object.entries(deferred).forEach(([name, value]) => this.root.style.setProperty(name, value));
+
+    const classes = {
+      themeClass: `theme-${theme.genre}`,
+      intensityClass: `intensity-${theme.intensityClass}`,
+    };
+
+    if (this.onClasses) {
+      this.onClasses(classes, theme);
+    } else {
+      [...this.root.classList].forEach(className => {
+        if (className.startsWith('theme-') || className.startsWith('intensity-')) {
+          this.root.classList.remove(className);
+        }
+      });
+      this.root.classList.add(classes.themeClass, classes.intensityClass);
+    }
+
+    this.onFrame?.();
+  }
+
+  setValue(name, value) {
+    this.values[name] = value;
+    this.root.style.setProperty(name, formatValue(value));
+  }
+
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.frameId) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frameId);
+      } else {
+        clearTimeout(this.frameId);
+      }
+      this.frameId = null;
+    }
+
+    clearTimeout(this.pendingTimerId);
+    this.pendingTimerId = null;
+    this.tween = null;
+    this.pending = null;
+  }
+}
+
+/**
+ * Theme -> CSS variables to tween now and ones to set on the downbeat
+ */
+function splitVariables(theme) {
+  const tweened = {};
+  const deferred = {};
+
+  Object.entries(theme.colors || {}).forEach(([key, value]) => {
+    const color = parseColor(value);
+    if (color) {
+      tweened[`--color-${key}`] = color;
+    } else {
+      deferred[`--color-${key}`] = value;
+    }
+  });
+
+  Object.entries(theme.effects || {}).forEach(([key, value]) => {
+    const name = `--${key.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+    const length = /^(-?[\d.]+)px$/.exec(value);
+    if (length) {
+      tweened[name] = { kind: 'number', value: parseFloat(length[1]), unit: 'px' };
+    } else {
+      deferred[name] = value;
+    }
+  });
+
+  ['energy', 'valence', 'danceability'].forEach(key => {
+    const value = theme.audioFeatures?.[key];
+    if (typeof value === 'number') {
+      tweened[`--${key}`] = { kind: 'number', value, unit: '' };
+    }
+  });
+
+  return { tweened, deferred };
+}
+
+function interpolate(from, to, t) {
+  if (!from || from.kind !== to.kind || from.unit !== to.unit) return to;
+
+  if (to.kind === 'color') {
+    return {
+      kind: 'color',
+      ...mixOklch(from, to, t),
+      a: from.a + (to.a - from.a) * t,
+    };
+  }
+
+  return { kind: 'number', value: from.value + (to.value - from.value) * t, unit: to.unit };
+}
+
+/**
+ * 'rgb(r, g, b)', 'rgba(r, g, b, a)' or '#rrggbb' -> { kind: 'color', r, g, b, a }
+ */
+function parseColor(value) {
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value);
+  if (hex) {
+    return { kind: 'color', r: parseInt(hex[1], 16), g: parseInt(hex[2], 16), b: parseInt(hex[3], 16), a: 1 };
+  }
+
+  const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(value);
+  if (rgb) {
+    return { kind: 'color', r: +rgb[1], g: +rgb[2], b: +rgb[3], a: rgb[4] !== undefined ? +rgb[4] : 1 };
+  }
+
+  return null;
+}
+
+function formatValue(value) {
+  if (value.kind === 'color') {
+    const { r, g, b } = value;
+    return value.a < 1
+      ? `rgba(${r}, ${g}, ${b}, ${Math.round(value.a * 1000) / 1000})`
+      : `rgb(${r}, ${g}, ${b})`;
+  }
+
+  return `${Math.round(value.value * 100) / 100}${value.unit}`;
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+export default ThemeTransition;
@@ -1,85 +1,138 @@
 /**
  * Home Assistant Service - WebSocket and REST API integration
  * First-class integration for Yeelight sync and sensor data
+ * The WebSocket connection needs the HA token, so it runs on the server;
+ * browsers use the server's REST proxy (and receive states over the EventBus)
  */
 
 export class HomeAssistantService {
-  constructor(serverUrl = window.location.origin) {
+  /**
+   * @param {string} serverUrl - Base URL of the overlay server (REST proxy)
+   * @param {object} options
+   * @param {string} options.haUrl - Home Assistant URL (WebSocket connection)
+   * @param {string} options.token - Long-lived access token (server only)
+   * @param {function} options.WebSocket - WebSocket implementation (e.g. the `ws` package in Node)
+   * @param {number} options.maxReconnectAttempts - Give up after this many reconnects (default: 10)
+   */
+  constructor(serverUrl = window.location.origin, options = {}) {
     this.serverUrl = serverUrl;
+    this.haUrl = options.haUrl || null;
+    this.token = options.token || null;
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
     this.ws = null;
     this.wsUrl = null;
     this.isConnected = false;
+    this.status = 'disconnected';
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 10;
     this.reconnectDelay = 1000; // Start at 1 second
     this.maxReconnectDelay = 30000; // Max 30 seconds
+    this.reconnectTimerId = null;
+    this.closing = false;
     this.listeners = new Map();
+    this.eventListeners = new Map(); // HA event type -> callbacks (see onEvent)
+    this.statusListeners = new Set();
     this.messageId = 1;
     this.pendingMessages = new Map();
-    this.subscriptions = new Set();
+    this.subscriptions = new Set(); // Event types subscribed on the current connection
   }
 
   /**
    * Connect to Home Assistant WebSocket API
+   * Resolves once authenticated and subscribed to state changes
    */
   async connect() {
     try {
-      // Get HA configuration from server
-      const response = await fetch(`${this.serverUrl}/api/config`);
-      const config = await response.json();
+      let haUrl = this.haUrl;
+
+      if (!haUrl) {
+        // Get HA configuration from server
+        const response = await fetch(`${this.serverUrl}/api/config`);
+        const config = await response.json();
 
-      if (!config.homeAssistant.configured) {
-        console.warn('[HA Service] Home Assistant not configured');
-        return false;
+        if (!config.homeAssistant.configured) {
+          console.warn('[HA Service] Home Assistant not configured');
+          return false;
+        }
+
+        haUrl = config.homeAssistant.url;
       }
 
       // Connect to HA WebSocket (direct connection, not proxied)
-      const haUrl = config.homeAssistant.url;
-      this.wsUrl = haUrl.replace('http://', 'ws://').replace('https://', 'wss://') + '/api/websocket';
+      this.wsUrl = haUrl.replace(/\/+$/, '').replace('http://', 'ws://').replace('https://', 'wss://') + '/api/websocket';
+      this.closing = false;
 
       await this.connectWebSocket();
       return true;
     } catch (error) {
-      console.error('[HA Service] Connection failed:', error);
+      console.error('[HA Service] Connection failed:', error.message || error);
       return false;
     }
   }
 
   /**
    * Connect to WebSocket
+   * Resolves on auth_ok, rejects on auth_invalid, errors and timeout
    */
   connectWebSocket() {
     return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        if (error) reject(error);
+        else resolve();
+      };
+
+      // Set a timeout for initial connection
+      const timeoutId = setTimeout(() => {
+        settle(new Error('WebSocket connection timeout'));
+        this.ws?.close();
+      }, 10000);
+
       try {
-        this.ws = new WebSocket(this.wsUrl);
+        this.setStatus('connecting');
+
+        const ws = new this.WebSocket(this.wsUrl);
+        this.ws = ws;
+        this.onAuthenticated = () => settle();
 
-        this.ws.onopen = () => {
+        ws.onopen = () => {
           console.log('[HA Service] WebSocket connected');
         };
 
-        this.ws.onmessage = (event) => {
-          this.handleMessage(JSON.parse(event.data));
+        ws.onmessage = (event) => {
+          this.handleMessage(JSON.parse(event.data)).catch(error => {
+            console.error('[HA Service] Message handling failed:', error);
+          });
         };
 
-        this.ws.onerror = (error) => {
-          console.error('[HA Service] WebSocket error:', error);
-          reject(error);
+        ws.onerror = (error) => {
+          console.error('[HA Service] WebSocket error:', error.message || error);
+          settle(new Error(error.message || 'WebSocket error'));
         };
 
-        this.ws.onclose = () => {
+        ws.onclose = () => {
+          if (this.ws !== ws) return;
+
           console.log('[HA Service] WebSocket closed');
+          this.ws = null;
           this.isConnected = false;
-          this.handleReconnect();
-        };
+          this.subscriptions.clear();
+          this.rejectPending(new Error('Connection closed'));
+          settle(new Error('WebSocket closed'));
 
-        // Set a timeout for initial connection
-        setTimeout(() => {
-          if (!this.isConnected) {
-            reject(new Error('WebSocket connection timeout'));
+          if (this.status !== 'auth_invalid') {
+            this.setStatus('disconnected');
           }
-        }, 10000);
+
+          if (!this.closing && this.status !== 'auth_invalid') {
+            this.handleReconnect();
+          }
+        };
       } catch (error) {
-        reject(error);
+        settle(error);
       }
     });
   }
@@ -96,19 +149,26 @@ export class HomeAssistantService {
 
     // Auth success
     if (message.type === 'auth_ok') {
-      console.log('[HA Service] Authenticated successfully');
+      console.log(`[HA Service] Authenticated successfully (HA ${message.ha_version})`);
       this.isConnected = true;
       this.reconnectAttempts = 0;
-      this.reconnectDelay = 1000;
 
-      // Subscribe to state changes
-      await this.subscribeToEvents();
+      try {
+        // Subscribe to state changes and the event types with listeners
+        await this.subscribeToEvents();
+      } catch (error) {
+        console.error('[HA Service] Subscribe failed:', error.message || error);
+      }
+
+      this.setStatus('connected');
+      this.onAuthenticated?.();
       return;
     }
 
-    // Auth failed
+    // Auth failed (bad token, don't retry)
     if (message.type === 'auth_invalid') {
-      console.error('[HA Service] Authentication failed');
+      console.error(`[HA Service] Authentication failed: ${message.message}`);
+      this.setStatus('auth_invalid');
       this.ws.close();
       return;
     }
@@ -134,35 +194,51 @@ export class HomeAssistantService {
 
   /**
    * Authenticate with Home Assistant
+   * Without a token (browsers) the WebSocket can't authenticate; states then
+   * come from the server over the EventBus, or from REST polling
    */
   async authenticate() {
-    try {
-      const response = await fetch(`${this.serverUrl}/api/config`);
-      const config = await response.json();
+    if (!this.token) {
+      console.warn('[HA Service] No access token, using REST API polling');
+      this.closing = true;
+      this.ws.close();
+      this.startPolling();
+      return;
+    }
 
-      // Get HA token from server (proxied)
-      const haResponse = await fetch(`${this.serverUrl}/api/ha/states/sun.sun`);
-      const token = haResponse.headers.get('X-HA-Token'); // If server exposes it
+    this.ws.send(JSON.stringify({
+      type: 'auth',
+      access_token: this.token,
+    }));
+  }
 
-      // For now, use REST API proxy instead of direct WS auth
-      // This avoids exposing the HA token to the client
+  /**
+   * Subscribe to HA event types not subscribed on this connection yet
+   * @param {string[]} eventTypes - Default: state_changed plus every type with onEvent listeners
+   */
+  async subscribeToEvents(eventTypes = ['state_changed', ...this.eventListeners.keys()]) {
+    const pending = [...new Set(eventTypes)].filter(eventType => !this.subscriptions.has(eventType));
 
-      console.log('[HA Service] Using REST API proxy for authentication');
-      this.isConnected = true;
-      this.startPolling();
-    } catch (error) {
-      console.error('[HA Service] Authentication error:', error);
-    }
+    // Marked before the reply so concurrent calls don't subscribe twice (events would arrive twice)
+    await Promise.all(pending.map(async (eventType) => {
+      this.subscriptions.add(eventType);
+      try {
+        await this.sendMessage({
+          type: 'subscribe_events',
+          event_type: eventType,
+        });
+      } catch (error) {
+        this.subscriptions.delete(eventType);
+        throw error;
+      }
+    }));
   }
 
   /**
-   * Subscribe to state change events
+   * Get all entity states over the WebSocket
    */
-  async subscribeToEvents() {
-    return this.sendMessage({
-      type: 'subscribe_events',
-      event_type: 'state_changed',
-    });
+  async getStates() {
+    return this.sendMessage({ type: 'get_states' });
   }
 
   /**
@@ -193,9 +269,41 @@ export class HomeAssistantService {
   }
 
   /**
-   * Handle state change events
+   * Reject requests still waiting for a reply (connection lost)
+   */
+  rejectPending(error) {
+    this.pendingMessages.forEach(({ reject }) => reject(error));
+    this.pendingMessages.clear();
+  }
+
+  /**
+   * Update connection status and notify status listeners
+   * @param {string} status - 'connecting' | 'connected' | 'disconnected' | 'auth_invalid'
+   */
+  setStatus(status) {
+    if (this.status === status) return;
+
+    this.status = status;
+    this.statusListeners.forEach(callback => callback(status));
+  }
+
+  /**
+   * Listen to connection status changes
+   */
+  onStatusChange(callback) {
+    this.statusListeners.add(callback);
+    return () => this.statusListeners.delete(callback);
+  }
+
+  /**
+   * Handle events
+   * Entity listeners receive the new HA state object (null when the entity was
+   * removed); event listeners the whole event ({ event_type, data, time_fired })
    */
   handleEvent(event) {
+    const eventListeners = this.eventListeners.get(event.event_type) || [];
+    eventListeners.forEach(callback => callback(event));
+
     if (event.event_type === 'state_changed') {
       const entityId = event.data.entity_id;
       const newState = event.data.new_state;
@@ -236,6 +344,35 @@ export class HomeAssistantService {
     }
   }
 
+  /**
+   * Listen to any HA event type (a doorbell, a custom automation event, ...)
+   * Subscribes right away when connected, and again after each reconnect
+   * @param {string} eventType - HA event type
+   * @param {function} callback - (event) => void
+   * @returns {function} Remove the listener
+   */
+  onEvent(eventType, callback) {
+    if (!this.eventListeners.has(eventType)) {
+      this.eventListeners.set(eventType, []);
+    }
+
+    this.eventListeners.get(eventType).push(callback);
+
+    if (this.isConnected) {
+      this.subscribeToEvents([eventType]).catch(error => {
+        console.error(`[HA Service] Subscribe to ${eventType} failed:`, error.message || error);
+      });
+    }
+
+    return () => {
+      const listeners = this.eventListeners.get(eventType) || [];
+      const index = listeners.indexOf(callback);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+    };
+  }
+
   /**
    * Get current state of an entity (REST API)
    */
@@ -291,14 +428,7 @@ export class HomeAssistantService {
         entities.map(entityId => this.getState(entityId))
       );
 
-      return states.filter(s => s !== null).map(state => ({
-        entity_id: state.entity_id,
-        state: state.state,
-        brightness: state.attributes.brightness,
-        rgb_color: state.attributes.rgb_color,
-        color_temp: state.attributes.color_temp,
-        friendly_name: state.attributes.friendly_name,
-      }));
+      return states.filter(s => s !== null).map(toLight);
     } catch (error) {
       console.error('[HA Service] Get Yeelights failed:', error);
       return [];
@@ -347,6 +477,8 @@ export class HomeAssistantService {
    * Handle reconnection with exponential backoff
    */
   handleReconnect() {
+    if (this.reconnectTimerId) return;
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('[HA Service] Max reconnection attempts reached');
       return;
@@ -360,9 +492,10 @@ export class HomeAssistantService {
 
     console.log(`[HA Service] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
 
-    setTimeout(() => {
+    this.reconnectTimerId = setTimeout(() => {
+      this.reconnectTimerId = null;
       this.connectWebSocket().catch(error => {
-        console.error('[HA Service] Reconnection failed:', error);
+        console.error('[HA Service] Reconnection failed:', error.message || error);
       });
     }, delay);
   }
@@ -398,6 +531,13 @@ export class HomeAssistantService {
    * Disconnect
    */
   disconnect() {
+    this.closing = true;
+
+    if (this.reconnectTimerId) {
+      clearTimeout(this.reconnectTimerId);
+      this.reconnectTimerId = null;
+    }
+
     if (this.ws) {
       this.ws.close();
       this.ws = null;
@@ -405,9 +545,27 @@ export class HomeAssistantService {
 
     this.stopPolling();
     this.listeners.clear();
-    this.pendingMessages.clear();
+    this.eventListeners.clear();
+    this.subscriptions.clear();
+    this.statusListeners.clear();
+    this.rejectPending(new Error('Disconnected'));
     this.isConnected = false;
+    this.status = 'disconnected';
   }
 }
 
+/**
+ * Flatten an HA light state into the HA_LIGHT_UPDATE shape
+ */
+export function toLight(state) {
+  return {
+    entity_id: state.entity_id,
+    state: state.state,
+    brightness: state.attributes?.brightness,
+    rgb_color: state.attributes?.rgb_color,
+    color_temp: state.attributes?.color_temp,
+    friendly_name: state.attributes?.friendly_name,
+  };
+}
+
 export default HomeAssistantService;
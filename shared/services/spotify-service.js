@@ -9,8 +9,14 @@ export class SpotifyService {
     this.cache = new Map();
     this.cacheTTL = 5000; // 5 seconds
     this.isPolling = false;
-    this.pollInterval = null;
+    this.pollTimerId = null;
     this.currentTrackId = null;
+
+    // Last reported playback position, extrapolated locally between polls
+    this.playback = null;
+    this.seekTolerance = 2000; // ms difference between reported and predicted progress
+    this.trackEndMargin = 750; // ms after predicted track end before polling
+    this.trackEndRetryDelay = 1000; // ms, when Spotify still reports the old track
   }
 
   /**
@@ -30,15 +36,16 @@ export class SpotifyService {
   /**
    * Get currently playing track
    */
-  async getCurrentTrack() {
+  async getCurrentTrack(skipCache = false) {
     const cacheKey = 'current_track';
     const cached = this.cache.get(cacheKey);
 
-    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+    if (!skipCache && cached && Date.now() - cached.timestamp < this.cacheTTL) {
       return cached.data;
     }
 
     try {
+      const requestedAt = Date.now();
       const response = await fetch(`${this.serverUrl}/api/spotify/current-track`);
 
       if (response.status === 401) {
@@ -51,6 +58,9 @@ export class SpotifyService {
 
       const data = await response.json();
 
+      // Approximate when progress_ms was sampled (request midpoint)
+      data.fetchedAt = Math.round((requestedAt + Date.now()) / 2);
+
       // Cache the result
       this.cache.set(cacheKey, {
         data,
@@ -96,6 +106,37 @@ export class SpotifyService {
     }
   }
 
+  /**
+   * Get audio analysis for a track (beats, bars, sections)
+   * Only the latest track is cached, analyses are large
+   */
+  async getAudioAnalysis(trackId) {
+    if (!trackId) return null;
+
+    const cached = this.cache.get('audio_analysis');
+
+    if (cached && cached.trackId === trackId) {
+      return cached.data;
+    }
+
+    try {
+      const response = await fetch(`${this.serverUrl}/api/spotify/audio-analysis/${trackId}`);
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      this.cache.set('audio_analysis', { trackId, data });
+
+      return data;
+    } catch (error) {
+      console.error('[SpotifyService] Get audio analysis failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Get artist information (including genres)
    */
@@ -129,28 +170,31 @@ export class SpotifyService {
   }
 
   /**
-   * Get comprehensive track data (track + features + artist)
+   * Get comprehensive track data (track + features + artists)
    */
-  async getTrackData() {
+  async getTrackData(skipCache = false) {
     try {
-      const currentTrack = await this.getCurrentTrack();
+      const currentTrack = await this.getCurrentTrack(skipCache);
 
       if (!currentTrack || !currentTrack.item) {
         return null;
       }
 
       const trackId = currentTrack.item.id;
-      const artistId = currentTrack.item.artists[0]?.id;
 
-      // Fetch audio features and artist data in parallel
-      const [audioFeatures, artistData] = await Promise.all([
+      // Fetch audio features and every artist (genres for the classifier) in parallel
+      const [audioFeatures, ...artistData] = await Promise.all([
         this.getAudioFeatures(trackId),
-        this.getArtist(artistId),
+        ...currentTrack.item.artists.map(artist => this.getArtist(artist.id)),
       ]);
 
-      // Extract genres
-      const genres = artistData?.genres || [];
-      const primaryGenre = genres[0] || 'Unknown';
+      // Extract genres, primary artist first
+      const artists = currentTrack.item.artists.map((artist, index) => ({
+        name: artist.name,
+        genres: artistData[index]?.genres || [],
+      }));
+      const genres = [...new Set(artists.flatMap(artist => artist.genres))];
+      const primaryGenre = artists[0]?.genres[0] || 'Unknown';
 
       return {
         track: {
@@ -168,14 +212,12 @@ export class SpotifyService {
           valence: audioFeatures?.valence,
           danceability: audioFeatures?.danceability,
         },
-        artist: {
-          name: currentTrack.item.artists[0]?.name,
-          genres: genres,
-        },
+        artist: artists[0] || { name: null, genres: [] },
+        artists: artists,
         genre: primaryGenre,
         genres: genres,
         isPlaying: currentTrack.is_playing,
-        timestamp: Date.now(),
+        timestamp: currentTrack.fetchedAt, // When progress_ms was sampled
       };
     } catch (error) {
       console.error('[SpotifyService] Get track data failed:', error);
@@ -183,10 +225,66 @@ export class SpotifyService {
     }
   }
 
+  /**
+   * Predict the current playback position from the last poll
+   * @returns {number|null} Progress in ms, or null if nothing is known
+   */
+  getPredictedProgress(now = Date.now()) {
+    if (!this.playback) return null;
+
+    const { progressMs, durationMs, isPlaying, timestamp } = this.playback;
+    if (!isPlaying) return progressMs;
+
+    return Math.min(progressMs + (now - timestamp), durationMs);
+  }
+
+  /**
+   * Compare a fresh poll against the extrapolated position
+   * @returns {object} { trackChanged, seeked, playbackChanged }
+   */
+  detectChanges(trackData) {
+    const previous = this.playback;
+    const trackChanged = trackData.track.id !== this.currentTrackId;
+    const playbackChanged = !!previous && previous.isPlaying !== trackData.isPlaying;
+
+    let seeked = false;
+    if (previous && !trackChanged && previous.isPlaying && trackData.isPlaying) {
+      const predicted = this.getPredictedProgress(trackData.timestamp);
+      seeked = Math.abs(trackData.track.progress_ms - predicted) > this.seekTolerance;
+    }
+
+    return { trackChanged, seeked, playbackChanged };
+  }
+
+  /**
+   * Delay until the next poll: just after the predicted track end, but never
+   * longer than maxInterval so skips and seeks from other devices are noticed
+   */
+  getNextPollDelay(trackData, maxInterval) {
+    if (!trackData || !trackData.isPlaying) {
+      return maxInterval * 2; // 30s when paused or nothing is playing
+    }
+
+    const remaining = trackData.track.duration_ms - trackData.track.progress_ms;
+    const elapsed = Date.now() - trackData.timestamp;
+    const untilTrackEnd = remaining - elapsed + this.trackEndMargin;
+
+    if (untilTrackEnd <= 0) {
+      // Past the predicted end but Spotify still reports the old track
+      return this.trackEndRetryDelay;
+    }
+
+    return Math.min(untilTrackEnd, maxInterval);
+  }
+
   /**
    * Start polling for track updates
+   * Polls right after the current track is predicted to end and at most every
+   * maxInterval in between; progress is extrapolated locally between polls.
+   * @param {function} callback - (trackData, trackChanged, { seeked, playbackChanged })
+   * @param {number} maxInterval - Longest gap between polls while playing (ms)
    */
-  startPolling(callback, interval = 5000) {
+  startPolling(callback, maxInterval = 15000) {
     if (this.isPolling) {
       console.warn('[SpotifyService] Already polling');
       return;
@@ -195,23 +293,30 @@ export class SpotifyService {
     this.isPolling = true;
 
     const poll = async () => {
+      this.pollTimerId = null;
+      let trackData = null;
+
       try {
-        const trackData = await this.getTrackData();
+        trackData = await this.getTrackData(true);
 
         if (trackData) {
-          // Check if track changed
-          const trackChanged = trackData.track.id !== this.currentTrackId;
-          this.currentTrackId = trackData.track.id;
-
-          callback(trackData, trackChanged);
+          const { trackChanged, seeked, playbackChanged } = this.detectChanges(trackData);
 
-          // Adjust polling interval based on playback state
-          if (this.pollInterval) {
-            clearInterval(this.pollInterval);
+          if (seeked) {
+            console.log(`[SpotifyService] Seek detected (${trackData.track.progress_ms}ms)`);
           }
 
-          const nextInterval = trackData.isPlaying ? interval : interval * 6; // 30s when paused
-          this.pollInterval = setInterval(poll, nextInterval);
+          this.currentTrackId = trackData.track.id;
+          this.playback = {
+            progressMs: trackData.track.progress_ms,
+            durationMs: trackData.track.duration_ms,
+            isPlaying: trackData.isPlaying,
+            timestamp: trackData.timestamp,
+          };
+
+          callback(trackData, trackChanged, { seeked, playbackChanged });
+        } else {
+          this.playback = null;
         }
       } catch (error) {
         if (error.message === 'Not authenticated') {
@@ -220,6 +325,11 @@ export class SpotifyService {
           callback({ error: 'not_authenticated' });
         }
       }
+
+      // Stopped from inside the callback
+      if (!this.isPolling) return;
+
+      this.pollTimerId = setTimeout(poll, this.getNextPollDelay(trackData, maxInterval));
     };
 
     // Initial poll
@@ -231,10 +341,11 @@ export class SpotifyService {
    */
   stopPolling() {
     this.isPolling = false;
+    this.playback = null;
 
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
+    if (this.pollTimerId) {
+      clearTimeout(this.pollTimerId);
+      this.pollTimerId = null;
     }
   }
 
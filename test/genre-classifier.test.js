@@ -0,0 +1,62 @@
+/**
+ * Genre classifier corpus against the shipped themes (themes/*.json)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { GenreClassifier } from '../shared/lib/genre-classifier.js';
+import { ThemeLoader } from '../server/theme-loader.js';
+
+const themesDir = fileURLToPath(new URL('../themes', import.meta.url));
+
+const classifier = new GenreClassifier();
+classifier.setThemes(new ThemeLoader({ dir: themesDir }).load());
+
+function best(track) {
+  return classifier.classify(track)[0]?.key ?? 'default';
+}
+
+const corpus = [
+  { artistGenres: [['deep house']], expected: 'house' },
+  { artistGenres: [['hardcore techno']], bpm: 190, energy: 0.95, expected: 'hardcore' },
+  { artistGenres: [['hardcore techno']], bpm: 135, energy: 0.7, expected: 'techno' },
+  { artistGenres: [['uplifting trance', 'hardstyle']], bpm: 150, expected: 'hardstyle' },
+  { artistGenres: [['uplifting trance', 'hardstyle']], bpm: 138, expected: 'trance' },
+  { artistGenres: [['eurotrance', 'edm']], expected: 'trance' },
+  { artistGenres: [['indie pop']], expected: 'default' },
+];
+
+corpus.forEach(({ expected, ...track }) => {
+  const tempo = track.bpm ? ` at ${track.bpm} BPM` : '';
+  test(`${JSON.stringify(track.artistGenres)}${tempo} -> ${expected}`, () => {
+    assert.equal(best(track), expected);
+  });
+});
+
+test('no matching genre gives an empty ranking', () => {
+  assert.deepEqual(classifier.classify({ artistGenres: [['indie pop']], bpm: 120, energy: 0.5 }), []);
+});
+
+test('primary artist outweighs a featured artist', () => {
+  assert.equal(best({ artistGenres: [['deep house'], ['trance']] }), 'house');
+  assert.equal(best({ artistGenres: [['trance'], ['deep house']] }), 'trance');
+});
+
+test('featured artists still vote when the primary has no matching genre', () => {
+  assert.equal(best({ artistGenres: [['indie pop'], ['drum and bass']] }), 'dnb');
+});
+
+test('featured artists count half, so three of them outvote the primary artist', () => {
+  assert.equal(best({ artistGenres: [['techno'], ['trance'], ['trance'], ['trance']] }), 'trance');
+});
+
+test('ranking is sorted with confidences between 0 and 1', () => {
+  const ranking = classifier.classify({ artistGenres: [['uplifting trance', 'hardstyle']], bpm: 150 });
+
+  assert.ok(ranking.length >= 2);
+  ranking.forEach(({ confidence }, index) => {
+    assert.ok(confidence > 0 && confidence <= 1);
+    if (index > 0) assert.ok(ranking[index - 1].score >= ranking[index].score);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Sensor widget entities: the allow-list for HA history and HA_WATCH
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadHaSensors, getSensorEntities } from '../server/ha-sensors.js';
+import { HeadlessHub } from '../server/hub.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'ha-sensors-'));
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+function writeSensors(name, config) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof config === 'string' ? config : JSON.stringify(config));
+  return path;
+}
+
+const sensorsPath = writeSensors('ha-sensors.json', {
+  history: 30,
+  sensors: [
+    { entity: 'sensor.room_co2', warn: 1000 },
+    { name: 'No entity' },
+    { entity: 'binary_sensor.front_door', alert: 'on' },
+  ],
+});
+
+test('loads sensors and skips those without an entity', () => {
+  const config = loadHaSensors(sensorsPath);
+
+  assert.equal(config.history, 30);
+  assert.deepEqual(config.sensors.map(sensor => sensor.entity), ['sensor.room_co2', 'binary_sensor.front_door']);
+});
+
+test('a missing or unreadable file gives null and allows nothing', () => {
+  const broken = writeSensors('broken.json', '{ "sensors": [');
+
+  assert.equal(loadHaSensors(join(dir, 'missing.json')), null);
+  assert.equal(loadHaSensors(broken), null);
+  assert.equal(getSensorEntities(broken).size, 0);
+});
+
+test('allows the configured sensors and HA_ENTITIES', () => {
+  assert.deepEqual(
+    [...getSensorEntities(sensorsPath, ['sensor.rig_power'])],
+    ['sensor.room_co2', 'binary_sensor.front_door', 'sensor.rig_power']
+  );
+});
+
+test('HA_WATCH only adds configured sensor entities', () => {
+  // The hub's services need a browser-like global, only its HA_WATCH handling is under test
+  const hub = {
+    haEntities: new Set(),
+    status: { homeAssistant: 'disconnected' },
+    getSensorEntities: () => getSensorEntities(sensorsPath),
+  };
+
+  HeadlessHub.prototype.watchEntities.call(hub, ['sensor.room_co2', 'lock.front_door', 'person.owner'], {});
+
+  assert.deepEqual([...hub.haEntities], ['sensor.room_co2']);
+});
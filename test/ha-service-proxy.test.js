@@ -0,0 +1,109 @@
+/**
+ * HA service proxy: allow-list, per-entity rate limit, replacing waiting calls
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HAServiceProxy, parseAllowList } from '../server/ha-service-proxy.js';
+
+const INTERVAL = 100;
+
+/**
+ * Proxy whose HA calls are recorded instead of sent
+ */
+function createProxy(allowed = []) {
+  const proxy = new HAServiceProxy({ haUrl: 'http://ha.invalid', token: 'token', allowed, minInterval: INTERVAL });
+  proxy.sent = [];
+  proxy.send = async (domain, service, data) => {
+    proxy.sent.push({ domain, service, data, at: Date.now() });
+    return [{ entity_id: data.entity_id }];
+  };
+  return proxy;
+}
+
+test('parses allow-list entries', () => {
+  const allowList = parseAllowList([
+    'light.turn_on:light.a',
+    ' light.turn_on : light.b ',
+    'scene.turn_on',
+    'switch.toggle:*',
+    'not valid',
+  ]);
+
+  assert.deepEqual([...allowList.get('light.turn_on')], ['light.a', 'light.b']);
+  assert.equal(allowList.get('scene.turn_on'), null);
+  assert.equal(allowList.get('switch.toggle'), null);
+  assert.equal(allowList.size, 3);
+});
+
+test('blocks services and entities that are not allowed', () => {
+  const proxy = createProxy(['light.turn_on:light.a', 'scene.turn_on']);
+
+  assert.equal(proxy.check('light', 'turn_on', { entity_id: 'light.a' }), null);
+  assert.equal(proxy.check('scene', 'turn_on', { entity_id: 'scene.any' }), null);
+  assert.match(proxy.check('light', 'turn_off', { entity_id: 'light.a' }), /not allowed/);
+  assert.match(proxy.check('light', 'turn_on', { entity_id: 'light.a,light.b' }), /not allowed for light.b/);
+  assert.match(proxy.check('light', 'turn_on', {}), /needs an entity_id/);
+  assert.equal(proxy.stats.blocked, 3);
+});
+
+test('blocks other target selectors on entity allow-lists', () => {
+  const proxy = createProxy(['light.turn_on:light.a']);
+
+  ['area_id', 'device_id', 'floor_id', 'label_id'].forEach(field => {
+    assert.match(proxy.check('light', 'turn_on', { entity_id: 'light.a', [field]: 'x' }), new RegExp(field));
+  });
+  assert.match(proxy.check('light', 'turn_on', { entity_id: 'light.a', target: { entity_id: 'light.b' } }), /target/);
+});
+
+test('a newer call replaces a waiting one instead of merging into it', async () => {
+  const proxy = createProxy();
+
+  const first = proxy.call('light', 'turn_on', { entity_id: 'light.a', brightness: 255 });
+  const second = proxy.call('light', 'turn_on', { entity_id: 'light.a', rgb_color: [255, 0, 0], brightness_pct: 50 });
+  const third = proxy.call('light', 'turn_on', { entity_id: 'light.a', color_temp: 300 });
+
+  await Promise.all([first, second, third]);
+
+  assert.deepEqual(proxy.sent.map(({ data }) => data), [
+    { entity_id: 'light.a', brightness: 255 },
+    { entity_id: 'light.a', color_temp: 300 },
+  ]);
+  assert.ok(proxy.sent[1].at - proxy.sent[0].at >= INTERVAL - 5);
+  assert.deepEqual(await second, [{ entity_id: 'light.a' }]);
+  assert.equal(proxy.stats.coalesced, 1);
+  proxy.stop();
+});
+
+test('an entity is limited on its own, also when named with others', async () => {
+  const proxy = createProxy();
+
+  await proxy.call('light', 'turn_on', { entity_id: 'light.a' });
+  await proxy.call('light', 'turn_on', { entity_id: ['light.b'] });
+  await proxy.call('light', 'turn_on', { entity_id: ['light.a', 'light.c'] });
+
+  const [a, b, ac] = proxy.sent;
+  assert.ok(b.at - a.at < INTERVAL / 2, 'other entities are not held back');
+  assert.ok(ac.at - a.at >= INTERVAL - 5, 'light.a waits out its interval in a group call');
+  proxy.stop();
+});
+
+test('calls without entities are limited per service', async () => {
+  const proxy = createProxy();
+
+  await proxy.call('scene', 'apply', { entities: {} });
+  await proxy.call('scene', 'apply', { entities: {} });
+
+  assert.ok(proxy.sent[1].at - proxy.sent[0].at >= INTERVAL - 5);
+  proxy.stop();
+});
+
+test('failed calls reject every waiting caller', async () => {
+  const proxy = createProxy();
+  proxy.send = async () => {
+    throw new Error('HA API error: 500');
+  };
+
+  await assert.rejects(proxy.call('light', 'turn_on', { entity_id: 'light.a' }), /500/);
+  proxy.stop();
+});
@@ -0,0 +1,47 @@
+/**
+ * Light programs: only the programs and effects in the library are accepted
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROGRAMS, validateProgram } from '../server/lights/effects.js';
+import { LightOutput } from '../server/lights/light-output.js';
+
+const bus = { on: () => () => {}, emit: () => {} };
+
+test('accepts every built-in program', () => {
+  Object.entries(PROGRAMS).forEach(([name, program]) => {
+    assert.equal(validateProgram(program), null, name);
+  });
+});
+
+test('rejects inherited effect names', () => {
+  const program = { level: { effect: 'pulse' }, color: { effect: 'theme' }, drop: { effect: 'flash' } };
+
+  assert.match(validateProgram({ ...program, level: { effect: 'toString' } }), /unknown level effect/);
+  assert.match(validateProgram({ ...program, color: { effect: 'constructor' } }), /unknown color effect/);
+  assert.match(validateProgram({ ...program, level: {} }), /unknown level effect/);
+});
+
+test('setProgram rejects inherited program names', () => {
+  const output = new LightOutput(bus, { fixtures: [], scheduler: null });
+
+  assert.equal(output.setProgram('toString'), false);
+  assert.equal(output.setProgram('constructor'), false);
+  assert.equal(output.programName, 'default');
+  assert.equal(output.program, PROGRAMS.default);
+
+  assert.equal(output.setProgram('techno'), true);
+  assert.equal(output.programName, 'techno');
+});
+
+test('a theme naming an inherited program falls back to the genre program', () => {
+  const output = new LightOutput(bus, { fixtures: [], scheduler: null });
+  output.genre = 'techno';
+  output.themeProgram = 'toString';
+
+  output.applyThemeProgram();
+
+  assert.equal(output.programName, 'techno');
+  assert.equal(output.program, PROGRAMS.techno);
+});
@@ -0,0 +1,94 @@
+/**
+ * Light scheduler: token bucket per light, merging commands that wait
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LightScheduler } from '../shared/lib/light-scheduler.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Scheduler (600 commands/minute: a token every 100 ms) recording what it sends
+ */
+function createScheduler({ burst = 1 } = {}) {
+  const sent = [];
+  const scheduler = new LightScheduler({
+    send: async (entityId, data) => {
+      sent.push({ entityId, data, at: Date.now() });
+    },
+    commandsPerMinute: 600,
+    burst,
+  });
+  scheduler.setLights(['light.a', 'light.b']);
+  return { scheduler, sent };
+}
+
+test('sends up to the burst back to back, then drops beat pulses', () => {
+  const { scheduler, sent } = createScheduler({ burst: 2 });
+
+  scheduler.command('light.a', { brightness: 255 }, { droppable: true });
+  scheduler.command('light.b', { brightness: 255 }, { droppable: true });
+  scheduler.command('light.a', { brightness: 100 }, { droppable: true });
+
+  assert.equal(sent.length, 2);
+  assert.equal(scheduler.getMetrics().lights['light.a'].sent, 1);
+  scheduler.stop();
+});
+
+test('refills tokens over time', async () => {
+  const { scheduler, sent } = createScheduler();
+
+  scheduler.command('light.a', { brightness: 255 }, { droppable: true });
+  await wait(0);
+  scheduler.command('light.a', { brightness: 10 }, { droppable: true });
+  assert.equal(sent.length, 1);
+  assert.equal(scheduler.getMetrics().dropped, 1);
+
+  await wait(120);
+  scheduler.command('light.a', { brightness: 20 }, { droppable: true });
+  assert.deepEqual(sent.map(({ data }) => data.brightness), [255, 20]);
+  scheduler.stop();
+});
+
+test('important commands wait for the next token', async () => {
+  const { scheduler, sent } = createScheduler();
+
+  scheduler.command('light.a', { brightness: 255 });
+  await wait(0);
+  scheduler.command('light.a', { flash: 'short' });
+  assert.equal(sent.length, 1);
+
+  await wait(150);
+  assert.deepEqual(sent[1].data, { flash: 'short' });
+  assert.ok(sent[1].at - sent[0].at >= 90);
+  scheduler.stop();
+});
+
+test('a waiting command keeps fields the newer one does not set', async () => {
+  const { scheduler, sent } = createScheduler();
+
+  scheduler.command('light.a', { brightness: 255 });
+  await wait(0);
+  scheduler.command('light.a', { rgb_color: [255, 0, 0] });
+  scheduler.command('light.a', { brightness: 80, transition: 0.3 });
+
+  await wait(150);
+  assert.deepEqual(sent[1].data, { rgb_color: [255, 0, 0], brightness: 80, transition: 0.3 });
+  assert.equal(scheduler.getMetrics().merged, 1);
+  scheduler.stop();
+});
+
+test('a newer color or brightness replaces every way of setting it', async () => {
+  const { scheduler, sent } = createScheduler();
+
+  scheduler.command('light.a', { brightness: 255 });
+  await wait(0);
+  scheduler.command('light.a', { rgb_color: [255, 0, 0], brightness_pct: 50 });
+  scheduler.command('light.a', { color_temp: 300 });
+  scheduler.command('light.a', { brightness: 100 });
+
+  await wait(150);
+  assert.deepEqual(sent[1].data, { color_temp: 300, brightness: 100 });
+  scheduler.stop();
+});
@@ -0,0 +1,133 @@
+/**
+ * Art-Net, sACN and WLED realtime packets, received on a localhost UDP listener
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'dgram';
+import { DmxUniverse } from '../server/lights/dmx-output.js';
+import { WledOutput } from '../server/lights/wled-output.js';
+import { LightOutput } from '../server/lights/light-output.js';
+
+/**
+ * Listen on a free localhost port; next() resolves with the next packet
+ */
+function listen() {
+  const socket = dgram.createSocket('udp4');
+  const packets = [];
+  const waiters = [];
+
+  socket.on('message', (packet) => {
+    const waiter = waiters.shift();
+    if (waiter) waiter(packet);
+    else packets.push(packet);
+  });
+
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => resolve({
+      port: socket.address().port,
+      next: () => packets.length ? Promise.resolve(packets.shift()) : new Promise(done => waiters.push(done)),
+      close: () => socket.close(),
+    }));
+  });
+}
+
+const PAR = { address: 3, channels: ['dimmer', 'red', 'green', 'blue', 7] };
+const FRAME = { color: [255, 128, 0], level: 0.5 };
+
+test('Art-Net: ArtDmx header, universe, sequence and channels', async () => {
+  const listener = await listen();
+  const universe = new DmxUniverse({ protocol: 'artnet', host: '127.0.0.1', universe: 0x123, port: listener.port });
+
+  try {
+    universe.write(PAR, FRAME);
+    universe.flush();
+    const packet = await listener.next();
+
+    assert.equal(packet.toString('ascii', 0, 8), 'Art-Net\0');
+    assert.equal(packet.readUInt16LE(8), 0x5000); // OpDmx
+    assert.equal(packet.readUInt16BE(10), 14);
+    assert.equal(packet[12], 1); // Sequence
+    assert.equal(packet[14], 0x23); // SubUni
+    assert.equal(packet[15], 0x01); // Net
+    assert.equal(packet.readUInt16BE(16), 8); // 7 channels, padded to even
+    assert.deepEqual([...packet.subarray(18)], [0, 0, 128, 255, 128, 0, 7, 0]);
+
+    universe.flush();
+    assert.equal((await listener.next())[12], 2);
+  } finally {
+    universe.socket.close();
+    listener.close();
+  }
+});
+
+test('sACN: E1.31 layers, universe, sequence and channels', async () => {
+  const listener = await listen();
+  const universe = new DmxUniverse({ protocol: 'sacn', host: '127.0.0.1', universe: 7, port: listener.port });
+
+  try {
+    universe.write(PAR, FRAME);
+    universe.flush();
+    const packet = await listener.next();
+
+    assert.equal(packet.length, 126 + 7);
+    assert.equal(packet.toString('ascii', 4, 13), 'ASC-E1.17');
+    assert.equal(packet.readUInt32BE(18), 0x00000004); // Root: E1.31 data
+    assert.equal(packet.readUInt32BE(40), 0x00000002); // Framing: data packet
+    assert.equal(packet.readUInt16BE(16) & 0x0fff, packet.length - 16);
+    assert.equal(packet[108], 100); // Priority
+    assert.equal(packet[111], 1); // Sequence
+    assert.equal(packet.readUInt16BE(113), 7); // Universe
+    assert.equal(packet.readUInt16BE(123), 8); // Start code + 7 slots
+    assert.equal(packet[125], 0); // DMX start code
+    assert.deepEqual([...packet.subarray(126)], [0, 0, 128, 255, 128, 0, 7]);
+
+    universe.flush();
+    assert.equal((await listener.next())[111], 2);
+  } finally {
+    universe.socket.close();
+    listener.close();
+  }
+});
+
+test('WLED: fixtures on one host fill their own LEDs of one DRGB frame', async () => {
+  const listener = await listen();
+  const output = new WledOutput({ host: '127.0.0.1', port: listener.port });
+
+  try {
+    output.write({ start: 0, ledCount: 2 }, { color: [255, 0, 0], level: 1 });
+    output.write({ start: 3, ledCount: 1 }, { color: [0, 0, 255], level: 0.5 });
+    output.flush();
+    const packet = await listener.next();
+
+    assert.equal(packet[0], 2); // DRGB
+    assert.equal(packet[1], 2); // Timeout (s)
+    assert.deepEqual([...packet.subarray(2)], [
+      255, 0, 0,
+      255, 0, 0,
+      0, 0, 0,
+      0, 0, 128,
+    ]);
+  } finally {
+    output.stop();
+    listener.close();
+  }
+});
+
+test('fixtures on one WLED host share an output', () => {
+  const bus = { on: () => () => {}, emit: () => {} };
+  const lights = new LightOutput(bus, {
+    fixtures: [
+      { id: 'left', backend: 'wled', host: '127.0.0.1', ledCount: 30 },
+      { id: 'right', backend: 'wled', host: '127.0.0.1', start: 30, ledCount: 30 },
+    ],
+    scheduler: null,
+  });
+
+  try {
+    assert.equal(lights.outputs.size, 1);
+    assert.equal(lights.fixtures[0].output, lights.fixtures[1].output);
+  } finally {
+    lights.outputs.forEach(output => output.stop());
+  }
+});
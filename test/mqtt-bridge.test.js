@@ -0,0 +1,119 @@
+/**
+ * MQTT bridge: discovery entities, commands from HA and state publishing
+ * against a stubbed client (no broker)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MqttBridge } from '../server/mqtt-bridge.js';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+const THEMES = [{ key: 'techno', name: 'Techno' }, { key: 'trance', name: 'Trance' }];
+
+/**
+ * Bridge with a recording bus and a connected fake client
+ */
+function createBridge({ lights = true } = {}) {
+  const emitted = [];
+  const published = [];
+  const bus = { on: () => () => {}, emit: (type, data) => emitted.push({ type, data }) };
+
+  const bridge = new MqttBridge(bus, {
+    url: 'mqtt://localhost',
+    getThemes: () => THEMES,
+    hasLightOutput: () => lights,
+  });
+  bridge.client = { publish: (topic, payload, options) => published.push({ topic, payload, options }) };
+  bridge.connected = true;
+
+  return { bridge, emitted, published };
+}
+
+test('discovery entities, with the beat pulse switch only when lights are driven', () => {
+  const { bridge } = createBridge();
+  const ids = bridge.getEntities().map(({ component, objectId }) => `${component}.${objectId}`);
+
+  assert.deepEqual(ids, [
+    'sensor.track', 'sensor.artist', 'sensor.genre', 'sensor.bpm', 'sensor.energy', 'sensor.beat_count',
+    'binary_sensor.playing', 'select.theme_lock', 'switch.beat_pulse',
+  ]);
+
+  const themeLock = bridge.getEntities().find(entity => entity.objectId === 'theme_lock');
+  assert.deepEqual(themeLock.config.options, ['auto', 'techno', 'trance']);
+  assert.equal(themeLock.config.command_topic, 'rave-overlay/theme_lock/set');
+
+  const { bridge: noLights } = createBridge({ lights: false });
+  assert.equal(noLights.getEntities().some(entity => entity.objectId === 'beat_pulse'), false);
+});
+
+test('beat count is a measurement, it restarts with every track', () => {
+  const { bridge } = createBridge();
+  const beatCount = bridge.getEntities().find(entity => entity.objectId === 'beat_count');
+
+  assert.equal(beatCount.config.state_class, 'measurement');
+});
+
+test('theme lock commands: a known theme, auto, and an unknown theme', () => {
+  const { bridge, emitted } = createBridge();
+
+  bridge.handleMessage('rave-overlay/theme_lock/set', 'trance');
+  bridge.handleMessage('rave-overlay/theme_lock/set', 'auto');
+  bridge.handleMessage('rave-overlay/theme_lock/set', 'polka');
+
+  assert.deepEqual(emitted, [
+    { type: EventTypes.THEME_LOCK, data: { genre: 'trance' } },
+    { type: EventTypes.THEME_LOCK, data: { genre: null } },
+  ]);
+});
+
+test('beat pulse commands are ignored without a light output', () => {
+  const { bridge, emitted } = createBridge();
+  bridge.handleMessage('rave-overlay/beat_pulse/set', 'OFF');
+  assert.deepEqual(emitted, [{ type: EventTypes.LIGHT_PULSE, data: { enabled: false } }]);
+
+  const { bridge: noLights, emitted: noLightsEmitted } = createBridge({ lights: false });
+  noLights.handleMessage('rave-overlay/beat_pulse/set', 'ON');
+  assert.deepEqual(noLightsEmitted, []);
+});
+
+test('HA coming online republishes discovery', () => {
+  const { bridge, published } = createBridge({ lights: false });
+
+  bridge.handleMessage('homeassistant/status', 'online');
+
+  assert.equal(published.length, bridge.getEntities().length + 1); // Plus the stale switch removal
+  assert.ok(published.every(({ options }) => options.retain));
+  assert.deepEqual(published.at(-1), {
+    topic: 'homeassistant/switch/rave-overlay/beat_pulse/config',
+    payload: '',
+    options: { retain: true },
+  });
+});
+
+test('states are published retained, once per change', () => {
+  const { bridge, published } = createBridge();
+
+  bridge.setState('genre', 'techno');
+  bridge.setState('genre', 'techno');
+  bridge.setState('bpm', null);
+  bridge.setState('genre', 'trance');
+
+  assert.deepEqual(published, [
+    { topic: 'rave-overlay/genre/state', payload: 'techno', options: { retain: true } },
+    { topic: 'rave-overlay/bpm/state', payload: '', options: { retain: true } },
+    { topic: 'rave-overlay/genre/state', payload: 'trance', options: { retain: true } },
+  ]);
+});
+
+test('states set while disconnected are flushed on reconnect', () => {
+  const { bridge, published } = createBridge();
+  bridge.connected = false;
+
+  bridge.setState('playing', 'ON');
+  assert.equal(published.length, 0);
+
+  bridge.connected = true;
+  bridge.flush('playing');
+  bridge.flush('playing');
+  assert.deepEqual(published, [{ topic: 'rave-overlay/playing/state', payload: 'ON', options: { retain: true } }]);
+});
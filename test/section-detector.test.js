@@ -0,0 +1,93 @@
+/**
+ * Section detection from synthetic audio analysis sections, and the section
+ * events the beat engine emits for them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifySections } from '../shared/lib/section-detector.js';
+import { BeatEngine } from '../shared/lib/beat-engine.js';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+const SECTION_SECONDS = 16;
+
+/**
+ * Spotify-style sections, 16 s each: [loudness (dB), tempo confidence (0-1), tempo]
+ */
+function sections(values) {
+  return values.map(([loudness, tempoConfidence = 0.6, tempo = 140], index) => ({
+    start: index * SECTION_SECONDS,
+    duration: SECTION_SECONDS,
+    confidence: 0.8,
+    loudness,
+    tempo,
+    tempo_confidence: tempoConfidence,
+  }));
+}
+
+const kinds = (values) => classifySections(sections(values)).map(section => section.kind);
+
+test('a loudness jump near the peak is a drop, led in by a build-up', () => {
+  assert.deepEqual(kinds([[-14], [-11], [-9], [-4], [-12]]),
+    ['intro', 'section', 'buildup', 'drop', 'breakdown']);
+});
+
+test('a loudness jump well below the peak is not a drop', () => {
+  assert.deepEqual(kinds([[-20], [-15], [-17], [-4]]),
+    ['intro', 'section', 'buildup', 'drop']);
+});
+
+test('a quiet build-up is found from rising tempo confidence', () => {
+  assert.deepEqual(kinds([[-12, 0.3], [-12, 0.2], [-13, 0.7], [-12, 0.7]]),
+    ['intro', 'section', 'buildup', 'section']);
+});
+
+test('rising tempo confidence is no build-up when the tempo falls or it gets quieter', () => {
+  assert.deepEqual(kinds([[-12, 0.2, 140], [-12, 0.8, 120]]), ['intro', 'section']);
+  assert.deepEqual(kinds([[-8, 0.2], [-12, 0.8]]), ['intro', 'breakdown']);
+});
+
+test('no sections, no classification', () => {
+  assert.deepEqual(classifySections([]), []);
+  assert.deepEqual(classifySections(), []);
+});
+
+/**
+ * Beat engine over an analysis with one beat per second; returns the section events
+ */
+function sectionEvents(values) {
+  const events = [];
+  const bus = { emit: (type, data) => events.push({ type, data }), on: () => () => {} };
+  const engine = new BeatEngine(bus);
+
+  const duration = values.length * SECTION_SECONDS;
+  const beats = Array.from({ length: duration }, (_, index) => ({ start: index, duration: 1, confidence: 0.9 }));
+  engine.setAnalysis({ beats, bars: [], sections: sections(values), track: { time_signature: 4 } });
+
+  engine.beatGrid.forEach((beat, index) => engine.updateSection(beat, index));
+  return events;
+}
+
+test('announces section changes, the build-up and the drop', () => {
+  const events = sectionEvents([[-14], [-11], [-9], [-4], [-12]]);
+
+  assert.deepEqual(events.filter(({ type }) => type === EventTypes.SECTION_CHANGE).map(({ data }) => data.kind),
+    ['intro', 'section', 'buildup', 'drop', 'breakdown']);
+
+  const buildup = events.find(({ type }) => type === EventTypes.BUILDUP_START);
+  assert.equal(buildup.data.startMs, 2 * SECTION_SECONDS * 1000);
+  assert.equal(buildup.data.dropInMs, SECTION_SECONDS * 1000);
+  assert.equal(buildup.data.nextKind, 'drop');
+
+  const drops = events.filter(({ type }) => type === EventTypes.DROP);
+  assert.equal(drops.length, 1);
+  assert.equal(drops[0].data.startMs, 3 * SECTION_SECONDS * 1000);
+});
+
+test('a quiet build-up without a drop has no drop time', () => {
+  const events = sectionEvents([[-12, 0.3], [-12, 0.2], [-13, 0.7]]);
+  const buildup = events.find(({ type }) => type === EventTypes.BUILDUP_START);
+
+  assert.equal(buildup.data.dropInMs, null);
+  assert.equal(events.some(({ type }) => type === EventTypes.DROP), false);
+});
@@ -0,0 +1,78 @@
+/**
+ * Server event bus: relaying client messages and the retained state snapshot
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import { ServerEventBus } from '../server/server-event-bus.js';
+import { EventTypes } from '../shared/lib/event-bus.js';
+
+/**
+ * Fake client socket: records what the server sends it
+ */
+function createClient(wss) {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.sent = [];
+  ws.send = (payload) => ws.sent.push(JSON.parse(payload));
+  ws.receive = (type, data) => ws.emit('message', Buffer.from(JSON.stringify({ type, data, timestamp: Date.now() })));
+
+  wss.clients.add(ws);
+  wss.emit('connection', ws, { socket: { remoteAddress: '127.0.0.1' } });
+  return ws;
+}
+
+function createBus() {
+  const wss = new EventEmitter();
+  wss.clients = new Set();
+  return { bus: new ServerEventBus(wss), wss };
+}
+
+test('state emitted on the server is replayed to a late widget', () => {
+  const { bus, wss } = createBus();
+  bus.emit(EventTypes.THEME_UPDATE, { genre: 'techno' });
+
+  const widget = createClient(wss);
+  widget.receive(EventTypes.WIDGET_READY, { instance: 'a' });
+
+  assert.deepEqual(
+    widget.sent.filter(message => message.type === EventTypes.THEME_UPDATE).map(message => message.data),
+    [{ genre: 'techno' }]
+  );
+});
+
+test('clients cannot overwrite retained state', () => {
+  const { bus, wss } = createBus();
+  bus.emit(EventTypes.THEME_UPDATE, { genre: 'techno' });
+
+  const client = createClient(wss);
+  client.receive(EventTypes.THEME_UPDATE, { genre: 'spoofed' });
+  client.receive(EventTypes.SPOTIFY_TRACK_UPDATE, { name: 'Spoofed' });
+
+  assert.deepEqual(bus.getSnapshot(), { [EventTypes.THEME_UPDATE]: { genre: 'techno' } });
+
+  const widget = createClient(wss);
+  widget.receive(EventTypes.WIDGET_READY, { instance: 'b' });
+
+  assert.deepEqual(
+    widget.sent.filter(message => message.type === EventTypes.THEME_UPDATE).map(message => message.data),
+    [{ genre: 'techno' }]
+  );
+  assert.equal(widget.sent.some(message => message.type === EventTypes.SPOTIFY_TRACK_UPDATE), false);
+});
+
+test('client messages are still relayed to other clients and server listeners', () => {
+  const { bus, wss } = createBus();
+  const received = [];
+  bus.on(EventTypes.TEMPO_TAP, (data) => received.push(data));
+
+  const sender = createClient(wss);
+  const other = createClient(wss);
+  sender.receive(EventTypes.TEMPO_TAP, { timestamp: 1 });
+
+  assert.deepEqual(received, [{ timestamp: 1 }]);
+  assert.equal(other.sent.filter(message => message.type === EventTypes.TEMPO_TAP).length, 1);
+  assert.equal(sender.sent.length, 0);
+});
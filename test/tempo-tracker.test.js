@@ -0,0 +1,64 @@
+/**
+ * Live tempo detection from synthetic spectrum frames
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TempoTracker, bpmFromTaps } from '../shared/lib/tempo-tracker.js';
+
+const FRAME_MS = 1000 / 60;
+
+/**
+ * Feed 8 s of frames with a kick on every beat (kicks land on the nearest frame)
+ */
+function feed(tracker, bpm, start = 100000) {
+  const beatMs = 60000 / bpm;
+  const frames = Math.round(8000 / FRAME_MS);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const time = frame * FRAME_MS;
+    const sinceBeat = time % beatMs;
+    const kick = sinceBeat < FRAME_MS ? 1 : 0.1;
+    tracker.addFrame([kick, kick, kick, kick], start + time);
+  }
+}
+
+const near = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} BPM, expected about ${expected}`);
+
+test('detects a mid-tempo track', () => {
+  const tracker = new TempoTracker();
+  feed(tracker, 128);
+  near(tracker.estimate().bpm, 128, 3);
+});
+
+test('DnB and hardcore tempos are in range with their genre range', () => {
+  const dnb = new TempoTracker();
+  dnb.setPreferredRange({ min: 160, max: 180 });
+  feed(dnb, 174);
+  near(dnb.estimate().bpm, 174, 4);
+
+  const hardcore = new TempoTracker();
+  hardcore.setPreferredRange({ min: 150, max: 230 });
+  feed(hardcore, 200);
+  near(hardcore.estimate().bpm, 200, 5);
+});
+
+test('a house range keeps a 124 BPM track out of double time', () => {
+  const tracker = new TempoTracker();
+  tracker.setPreferredRange({ min: 115, max: 130 });
+  feed(tracker, 124);
+  near(tracker.estimate().bpm, 124, 3);
+});
+
+test('needs a few seconds of audio', () => {
+  const tracker = new TempoTracker();
+  tracker.addFrame([1, 1], 0);
+  tracker.addFrame([0, 0], 1000);
+  assert.equal(tracker.estimate(), null);
+});
+
+test('tap tempo uses the median interval', () => {
+  assert.equal(bpmFromTaps([0, 500, 1000]), null);
+  assert.deepEqual(bpmFromTaps([0, 500, 1000, 1700, 2200]), { bpm: 120, phase: 2200 });
+});
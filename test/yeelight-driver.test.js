@@ -0,0 +1,151 @@
+/**
+ * Yeelight LAN driver: discovery replies and the JSON-over-TCP protocol
+ * against a fake bulb on localhost
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { YeelightDriver, discoverYeelights, parseDiscoveryReply } from '../server/lights/yeelight-driver.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake bulb: records commands and replies to each one
+ * @param {function} reply - ({ id, method, params }) => reply object (without id)
+ */
+function startFakeBulb(reply = () => ({ result: ['ok'] })) {
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const command = JSON.parse(buffer.slice(0, index));
+        buffer = buffer.slice(index + 2);
+        commands.push(command);
+        socket.write(JSON.stringify({ id: command.id, ...reply(command) }) + '\r\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, commands, port: server.address().port }));
+  });
+}
+
+async function connectDriver(port) {
+  const driver = new YeelightDriver({ devices: { 'light.desk': `127.0.0.1:${port}` } });
+  await driver.start();
+
+  for (let tries = 0; tries < 50 && !driver.getStatus()['light.desk'].power; tries++) {
+    await wait(20);
+  }
+
+  return driver;
+}
+
+test('parses a discovery reply', () => {
+  const bulb = parseDiscoveryReply([
+    'HTTP/1.1 200 OK',
+    'Location: yeelight://192.168.1.50:55443',
+    'id: 0x000000000015243f',
+    'model: color',
+    'power: on',
+    'support: get_prop set_power set_rgb',
+    '',
+  ].join('\r\n'));
+
+  assert.deepEqual(bulb, {
+    id: '0x000000000015243f',
+    host: '192.168.1.50',
+    port: 55443,
+    model: 'color',
+    name: null,
+    power: 'on',
+    support: ['get_prop', 'set_power', 'set_rgb'],
+  });
+});
+
+test('ignores replies that are not from a bulb', () => {
+  assert.equal(parseDiscoveryReply('HTTP/1.1 200 OK\r\nLocation: http://192.168.1.1/\r\n'), null);
+});
+
+test('discovery resolves once when the socket errors before the timeout', async () => {
+  const bulbs = await discoverYeelights({ timeout: 300, address: 'no-such-host.invalid' });
+  assert.equal(bulbs.size, 0);
+
+  // The timeout used to close the already closed socket and crash
+  await wait(500);
+});
+
+test('sends color and brightness as one color flow', async () => {
+  const { server, commands, port } = await startFakeBulb(({ method }) =>
+    ({ result: method === 'get_prop' ? ['off'] : ['ok'] }));
+  const driver = await connectDriver(port);
+
+  try {
+    await driver.turnOn('light.desk', { brightness: 255, rgb_color: [255, 0, 0], transition: 0.5 });
+
+    assert.deepEqual(commands.map(({ method, params }) => [method, params]), [
+      ['get_prop', ['power']],
+      ['set_power', ['on', 'smooth', 500]],
+      ['start_cf', [1, 1, '500,1,16711680,100']],
+    ]);
+  } finally {
+    driver.stop();
+    server.close();
+  }
+});
+
+test('flashes with two white blinks', async () => {
+  const { server, commands, port } = await startFakeBulb(({ method }) =>
+    ({ result: method === 'get_prop' ? ['on'] : ['ok'] }));
+  const driver = await connectDriver(port);
+
+  try {
+    await driver.turnOn('light.desk', { flash: 'long' });
+
+    // start_cf runs `count` state changes, cycling through the flow's steps
+    const [count, action, flow] = commands.at(-1).params;
+    const values = flow.split(',').map(Number);
+    const steps = [];
+    for (let index = 0; index < values.length; index += 4) {
+      steps.push(values.slice(index, index + 4)); // duration, mode, value, brightness
+    }
+    const states = Array.from({ length: count }, (_, index) => steps[index % steps.length]);
+
+    assert.equal(action, 0); // Back to the previous state
+    assert.deepEqual(states.map(([, , , bright]) => bright), [100, 1, 100, 1]); // Two blinks
+    states.forEach(([duration, mode, temperature]) => {
+      assert.deepEqual([duration, mode, temperature], [400, 2, 6500]); // Long, white
+    });
+    assert.equal(commands.filter(({ method }) => method === 'set_power').length, 0);
+  } finally {
+    driver.stop();
+    server.close();
+  }
+});
+
+test('rejects when the bulb answers with an error', async () => {
+  const { server, port } = await startFakeBulb(({ method }) => method === 'get_prop'
+    ? { result: ['on'] }
+    : { error: { code: -1, message: 'client quota exceeded' } });
+  const driver = await connectDriver(port);
+
+  try {
+    await assert.rejects(driver.turnOn('light.desk', { brightness: 128 }), /client quota exceeded/);
+  } finally {
+    driver.stop();
+    server.close();
+  }
+});
+
+test('turnOn rejects for a bulb that is not connected', async () => {
+  const driver = new YeelightDriver();
+  await assert.rejects(driver.turnOn('light.unknown', {}), /not a connected Yeelight/);
+});